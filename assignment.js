@@ -0,0 +1,252 @@
+/**
+ * Balanced Condition Assignment for the NeuroState Estimation Task
+ * Allocates participants to a cell of the design (condition order, past-dots
+ * display, sequence variant) by permuted-block randomization or minimum count.
+ * The counts are kept by the assignment service (see server/dev-server.js);
+ * when it cannot be reached, the participant is assigned in the browser.
+ */
+
+class ConditionAssigner {
+    /**
+     * @param {Object} options - The `assignment` section of ExperimentConfig
+     * @param {string} study - Name of the study (the config name); each study is balanced separately
+     */
+    constructor(options, study) {
+        this.options = options;
+        this.study = study;
+    }
+    
+    /**
+     * Assign a participant to a cell
+     * @param {string} participantID - Participant ID
+     * @param {Object} factors - Levels per factor, e.g. { conditionOrder: ['HI-HD', 'HD-HI'], pastDotsShown: [true, false] }
+     * @returns {Promise<Object>} { cell, source } where source is 'server', 'local' or 'fallback'
+     */
+    async assign(participantID, factors) {
+        const request = {
+            participantID: participantID,
+            study: this.study,
+            method: this.options.method,
+            factors: factors
+        };
+        
+        if (!this.options.endpoint) {
+            return { cell: this.assignLocally(request), source: 'local' };
+        }
+        
+        try {
+            return { cell: await this.requestAssignment(request), source: 'server' };
+        } catch (error) {
+            console.warn(`Assignment service unavailable, assigning in the browser: ${error.message}`);
+            return { cell: this.assignLocally(request), source: 'fallback', error: error.message };
+        }
+    }
+    
+    /**
+     * Ask the assignment service for a cell
+     * @param {Object} request - Assignment request
+     * @returns {Promise<Object>} Assigned cell
+     */
+    async requestAssignment(request) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+        
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const result = await response.json();
+            const cell = result.cell;
+            const valid = ConditionAssigner.isPlainObject(cell) && Object.entries(request.factors)
+                .every(([factor, levels]) => levels.includes(cell[factor]));
+            if (!valid) {
+                throw new Error(`Unexpected response ${JSON.stringify(result)}`);
+            }
+            return cell;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Assign with counts kept in this browser's localStorage, which balances
+     * participants who use the same computer (e.g. in the lab)
+     * @param {Object} request - Assignment request
+     * @returns {Object} Assigned cell
+     */
+    assignLocally(request) {
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(ConditionAssigner.STORAGE_KEY));
+        } catch (error) {
+            state = null;
+        }
+        state = state || ConditionAssigner.createState();
+        
+        const cell = ConditionAssigner.assignWithState(state, request);
+        
+        try {
+            localStorage.setItem(ConditionAssigner.STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.warn(`Could not save assignment counts: ${error.message}`);
+        }
+        return cell;
+    }
+    
+    /**
+     * @returns {Object} Empty assignment state
+     */
+    static createState() {
+        return { studies: {}, participants: {} };
+    }
+    
+    /**
+     * Assign a participant and update the state. A participant who was already
+     * assigned in this study gets the same cell again.
+     * Shared by the browser fallback and the assignment service.
+     * @param {Object} state - Assignment state, modified in place
+     * @param {Object} request - { participantID, study, method, factors }
+     * @param {Function} random - Uniform random number generator in [0, 1)
+     * @returns {Object} Assigned cell
+     */
+    static assignWithState(state, request, random = Math.random) {
+        const designKey = ConditionAssigner.designKey(request.study, request.factors);
+        const previous = state.participants[request.participantID];
+        if (previous && previous.design === designKey) {
+            return previous.cell;
+        }
+        
+        const design = state.studies[designKey] = state.studies[designKey] || { counts: {}, block: [] };
+        const cells = ConditionAssigner.cells(request.factors);
+        const cell = ConditionAssigner.chooseCell(design, cells, request.method, random);
+        
+        state.participants[request.participantID] = {
+            design: designKey,
+            cell: cell,
+            assignedAt: new Date().toISOString()
+        };
+        return cell;
+    }
+    
+    /**
+     * Pick a cell and count it
+     * @param {Object} design - { counts, block } of one study design, modified in place
+     * @param {Array} cells - All cells of the design
+     * @param {string} method - 'block', 'minimum-count' or 'random'
+     * @param {Function} random - Uniform random number generator in [0, 1)
+     * @returns {Object} Chosen cell
+     */
+    static chooseCell(design, cells, method, random) {
+        const keys = cells.map(ConditionAssigner.cellKey);
+        let key;
+        
+        if (method === 'block') {
+            // Every cell once per block, in random order
+            if (!design.block.length) {
+                design.block = ConditionAssigner.shuffle(keys.slice(), random);
+            }
+            key = design.block.shift();
+        } else if (method === 'minimum-count') {
+            const minCount = Math.min(...keys.map(candidate => design.counts[candidate] || 0));
+            const candidates = keys.filter(candidate => (design.counts[candidate] || 0) === minCount);
+            key = candidates[Math.floor(random() * candidates.length)];
+        } else {
+            key = keys[Math.floor(random() * keys.length)];
+        }
+        
+        design.counts[key] = (design.counts[key] || 0) + 1;
+        return cells[keys.indexOf(key)];
+    }
+    
+    /**
+     * Factors participants are balanced over in a study, with their levels.
+     * Within-subject: the order of the two conditions. Between-subject: a single condition.
+     * The past-dots group and the sequence variant are only factors when they vary.
+     * @param {Object} config - Resolved ExperimentConfig
+     * @returns {Object} Levels per factor
+     */
+    static designFactors(config) {
+        const factors = {
+            conditionOrder: config.design.withinSubject ? ['HI-HD', 'HD-HI'] : ['HI', 'HD']
+        };
+        if (config.pastDots.assignment === 'random') {
+            factors.pastDotsShown = [true, false];
+        }
+        const variants = config.assignment.sequenceVariants;
+        if (variants.length > 1) {
+            factors.sequenceVariant = variants.map((seed, i) => i);
+        }
+        return factors;
+    }
+    
+    /**
+     * All combinations of the factor levels
+     * @param {Object} factors - Levels per factor
+     * @returns {Array} Cells, e.g. [{ conditionOrder: 'HI-HD', pastDotsShown: true }, ...]
+     */
+    static cells(factors) {
+        return Object.entries(factors).reduce((cells, [factor, levels]) =>
+            cells.flatMap(cell => levels.map(level => Object.assign({}, cell, { [factor]: level }))), [{}]);
+    }
+    
+    /**
+     * @param {Object} cell - Cell
+     * @returns {string} Key used in the counts
+     */
+    static cellKey(cell) {
+        return JSON.stringify(cell);
+    }
+    
+    /**
+     * Identifies a study design; counts are kept separately when the factors change
+     * @param {string} study - Study name
+     * @param {Object} factors - Levels per factor
+     * @returns {string} Design key
+     */
+    static designKey(study, factors) {
+        const description = Object.entries(factors)
+            .map(([factor, levels]) => `${factor}=${levels.join('/')}`)
+            .join(';');
+        return `${study}|${description}`;
+    }
+    
+    /**
+     * Fisher-Yates shuffle
+     * @param {Array} items - Items, shuffled in place
+     * @param {Function} random - Uniform random number generator in [0, 1)
+     * @returns {Array} The shuffled items
+     */
+    static shuffle(items, random) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+    
+    /**
+     * @param {*} value - Value to check
+     * @returns {boolean} Whether value is a plain (non-array) object
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// localStorage key for the counts of the browser-side assignment
+ConditionAssigner.STORAGE_KEY = 'neurostate-assignment';
+
+// Export for use in the assignment service
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConditionAssigner };
+} else {
+    // Make available globally when used directly in browser
+    window.ConditionAssigner = ConditionAssigner;
+}
@@ -0,0 +1,469 @@
+/**
+ * Ideal Bayesian Observer for the NeuroState Estimation Experiment
+ * Computes the optimal estimate of the hidden state for every trial by
+ * grid-based forward filtering over (state, tau), using the same generative
+ * process as StimulusGenerator (hazard function, transition kernel,
+ * likelihood family and boundary mode).
+ */
+
+class BayesianObserver {
+    /**
+     * @param {StimulusGenerator} generator - Generator whose process is inverted
+     * @param {Object} options - Filtering options
+     * @param {number} options.gridStep - Spacing of the state grid (default 1)
+     * @param {number} options.maxTau - Largest tracked tau (default: 100, or more if a hazard
+     *                                  function only settles later)
+     * @throws {Error} If a hazard function never settles, or maxTau is too small to track it exactly
+     */
+    constructor(generator, options = {}) {
+        this.generator = generator;
+        this.gridStep = options.gridStep || 1;
+        
+        // Runs longer than maxTau continue in an earlier bin with the same hazard (see filter()),
+        // which is only exact once every hazard has settled
+        const requiredMaxTau = BayesianObserver.requiredMaxTau(generator);
+        this.maxTau = options.maxTau || Math.max(100, requiredMaxTau);
+        if (this.maxTau < requiredMaxTau) {
+            throw new Error(`The ideal observer's maxTau (${this.maxTau}) must be at least ${requiredMaxTau}, ` +
+                'where the hazard functions have settled');
+        }
+        
+        // State grid: bin centers from 0 to STATE_RANGE. With clamping the edge
+        // bins also hold the probability mass that the generator clamps onto the
+        // boundaries. In the circular state space STATE_RANGE is the same point as
+        // 0, so the grid stops one bin earlier and the step is adjusted to fit.
+        this.circular = generator.BOUNDARY === 'circular';
+        if (this.circular) {
+            this.nStates = Math.max(1, Math.round(generator.STATE_RANGE / this.gridStep));
+            this.gridStep = generator.STATE_RANGE / this.nStates;
+        } else {
+            this.nStates = Math.round(generator.STATE_RANGE / this.gridStep) + 1;
+        }
+        this.grid = new Float64Array(this.nStates);
+        for (let i = 0; i < this.nStates; i++) {
+            this.grid[i] = Math.min(i * this.gridStep, generator.STATE_RANGE);
+        }
+        
+        // Transition matrices are the same for every trial, apart from the
+        // exploration trials of an exploratory kernel, so build them once
+        this.regularKernel = this.buildKernel(false);
+        this.explorationKernel = generator.transitionKernel.exploratory ? this.buildKernel(true) : this.regularKernel;
+    }
+    
+    /**
+     * Probability mass that a sample, after the generator's boundary handling
+     * (see StimulusGenerator.sampleInRange()), falls in each grid bin
+     * @param {number} center - Center of distribution
+     * @param {number} width - Width of distribution
+     * @param {Object} shape - Distribution from LikelihoodFunctions.create()
+     * @returns {Float64Array} Mass per grid bin (sums to 1)
+     */
+    binMass(center, width, shape) {
+        const boundary = this.generator.BOUNDARY;
+        const range = this.generator.STATE_RANGE;
+        const last = this.nStates - 1;
+        const mass = new Float64Array(this.nStates);
+        let total = 0;
+        
+        for (let i = 0; i < this.nStates; i++) {
+            let lower;
+            let upper;
+            if (this.circular) {
+                lower = this.grid[i] - this.gridStep / 2;
+                upper = this.grid[i] + this.gridStep / 2;
+            } else {
+                // With clamping everything beyond the ends lands in the edge bins
+                lower = i === 0 ? (boundary === 'clamp' ? -Infinity : 0) : this.grid[i - 1] + this.gridStep / 2;
+                upper = i === last ? (boundary === 'clamp' ? Infinity : range) : this.grid[i] + this.gridStep / 2;
+            }
+            mass[i] = this.intervalMass(lower, upper, center, width, shape);
+            total += mass[i];
+        }
+        
+        // Truncated samples are drawn again until they fall inside the range
+        if (boundary === 'truncate' && total > 0) {
+            for (let i = 0; i < this.nStates; i++) {
+                mass[i] /= total;
+            }
+        }
+        return mass;
+    }
+    
+    /**
+     * Probability that a sample lands in [lower, upper] after reflection or
+     * wrapping (for the other modes, the plain probability)
+     * @param {number} lower - Lower end of the interval
+     * @param {number} upper - Upper end of the interval
+     * @param {number} center - Center of distribution
+     * @param {number} width - Width of distribution
+     * @param {Object} shape - Distribution from LikelihoodFunctions.create()
+     * @returns {number} Probability
+     */
+    intervalMass(lower, upper, center, width, shape) {
+        const cdf = x => shape.cdf(x, center, width);
+        const reach = shape.reach(width);
+        const range = this.generator.STATE_RANGE;
+        let mass = 0;
+        
+        if (this.generator.BOUNDARY === 'reflect') {
+            // Reflection folds x + 2kR and 2kR - x onto the same point x
+            const period = 2 * range;
+            const kMin = Math.floor((center - reach) / period) - 1;
+            const kMax = Math.ceil((center + reach) / period) + 1;
+            for (let k = kMin; k <= kMax; k++) {
+                mass += cdf(upper + k * period) - cdf(lower + k * period) +
+                    cdf(k * period - lower) - cdf(k * period - upper);
+            }
+        } else if (this.circular) {
+            // Wrapping maps x + kR onto the same point x
+            const kMin = Math.floor((center - reach) / range) - 1;
+            const kMax = Math.ceil((center + reach) / range) + 1;
+            for (let k = kMin; k <= kMax; k++) {
+                mass += cdf(upper + k * range) - cdf(lower + k * range);
+            }
+        } else {
+            mass = cdf(upper) - cdf(lower);
+        }
+        return mass;
+    }
+    
+    /**
+     * Distribution of the new state after a change, from the components of the
+     * generator's transition kernel
+     * @param {number} currentState - State before the change
+     * @param {boolean} exploration - Whether this is an exploration trial
+     * @returns {Float64Array} Mass per grid bin
+     */
+    transitionMass(currentState, exploration) {
+        const mass = new Float64Array(this.nStates);
+        
+        for (const component of this.generator.transitionKernel.components(currentState, exploration)) {
+            const componentMass = this.binMass(component.center, component.width, component.shape);
+            for (let i = 0; i < this.nStates; i++) {
+                mass[i] += component.weight * componentMass[i];
+            }
+        }
+        return mass;
+    }
+    
+    /**
+     * Build the change-point transition matrix K[from][to]
+     * @param {boolean} exploration - Whether to include boundary exploration jumps
+     * @returns {Array} Array of Float64Array rows
+     */
+    buildKernel(exploration) {
+        const kernel = [];
+        for (let i = 0; i < this.nStates; i++) {
+            kernel.push(this.transitionMass(this.grid[i], exploration));
+        }
+        return kernel;
+    }
+    
+    /**
+     * Likelihood of an observation for every grid state
+     * @param {number} observation - Observed x_t
+     * @param {number} width - Likelihood width of the trial
+     * @param {Object} likelihoodFunction - Likelihood family from LikelihoodFunctions.create()
+     * @returns {Float64Array} p(x_t | s) per grid bin
+     */
+    observationLikelihood(observation, width, likelihoodFunction) {
+        const range = this.generator.STATE_RANGE;
+        const boundary = this.generator.BOUNDARY;
+        const likelihood = new Float64Array(this.nStates);
+        
+        for (let i = 0; i < this.nStates; i++) {
+            const s = this.grid[i];
+            if (boundary === 'clamp') {
+                if (observation <= 0) {
+                    // Clamped sample: probability mass at the lower boundary
+                    likelihood[i] = likelihoodFunction.cdf(0, s, width);
+                } else if (observation >= range) {
+                    likelihood[i] = 1 - likelihoodFunction.cdf(range, s, width);
+                } else {
+                    likelihood[i] = likelihoodFunction.pdf(observation, s, width);
+                }
+            } else if (boundary === 'truncate') {
+                // Density renormalized to the part of the likelihood inside the range
+                const inside = likelihoodFunction.cdf(range, s, width) - likelihoodFunction.cdf(0, s, width);
+                likelihood[i] = inside > 0 ? likelihoodFunction.pdf(observation, s, width) / inside : 0;
+            } else {
+                likelihood[i] = this.foldedDensity(observation, s, width, likelihoodFunction);
+            }
+        }
+        
+        return likelihood;
+    }
+    
+    /**
+     * Density of a reflected or wrapped observation at x
+     * @param {number} x - Point in [0, STATE_RANGE]
+     * @param {number} center - Hidden state
+     * @param {number} width - Likelihood width of the trial
+     * @param {Object} likelihoodFunction - Likelihood family from LikelihoodFunctions.create()
+     * @returns {number} Density at x
+     */
+    foldedDensity(x, center, width, likelihoodFunction) {
+        const range = this.generator.STATE_RANGE;
+        const period = this.circular ? range : 2 * range;
+        const reach = likelihoodFunction.reach(width);
+        const kMin = Math.floor((center - reach) / period) - 1;
+        const kMax = Math.ceil((center + reach) / period) + 1;
+        let density = 0;
+        
+        for (let k = kMin; k <= kMax; k++) {
+            density += likelihoodFunction.pdf(x + k * period, center, width);
+            if (!this.circular) {
+                density += likelihoodFunction.pdf(k * period - x, center, width);
+            }
+        }
+        return density;
+    }
+    
+    /**
+     * Run the forward filter over a sequence of trials
+     * @param {Array} trials - Trial objects from StimulusGenerator.generateSequence()
+     * @returns {Array} Per-trial estimates {mean, map, sd, changeProbability}
+     */
+    filter(trials) {
+        const nS = this.nStates;
+        const nT = this.maxTau + 1;
+        const estimates = [];
+        
+        if (!trials.length) {
+            return estimates;
+        }
+        
+        // The hazard only depends on tau, so tabulate it once per sequence
+        const hazardFunction = this.generator.getHazardFunction(trials[0].condition);
+        const likelihoodFunction = this.generator.getLikelihood(trials[0].condition,
+            trials[0].is_tutorial ? trials[0].tutorial_phase : null);
+        const hazardByTau = [];
+        for (let tau = 0; tau < nT; tau++) {
+            hazardByTau.push(hazardFunction.rate(tau));
+        }
+        // Past maxTau, tau moves back by one period of the settled hazard (period 1: it stays in the last bin)
+        const wrappedTau = this.maxTau + 1 - hazardFunction.period;
+        
+        // joint[tau * nS + s] = p(s_t, tau_t | x_1..t). Before the first trial the
+        // state is uniform over the range and tau is 0.
+        let joint = new Float64Array(nS * nT);
+        for (let i = 0; i < nS; i++) {
+            joint[i] = this.uniformBinMass(i);
+        }
+        
+        for (const trial of trials) {
+            const kernel = this.generator.isExplorationTrial(trial.trial_idx, trial.is_tutorial) ?
+                this.explorationKernel : this.regularKernel;
+            const predicted = new Float64Array(nS * nT);
+            
+            // Split the mass into "change" and "no change" according to the hazard
+            const changeMass = new Float64Array(nS);
+            for (let tau = 0; tau < nT; tau++) {
+                const hazard = hazardByTau[tau];
+                const nextTau = tau < this.maxTau ? tau + 1 : wrappedTau;
+                const offset = tau * nS;
+                const nextOffset = nextTau * nS;
+                
+                for (let i = 0; i < nS; i++) {
+                    const p = joint[offset + i];
+                    if (p === 0) continue;
+                    changeMass[i] += p * hazard;
+                    predicted[nextOffset + i] += p * (1 - hazard);
+                }
+            }
+            
+            // A change resets tau to 0 and moves the state through the kernel
+            for (let i = 0; i < nS; i++) {
+                const m = changeMass[i];
+                if (m === 0) continue;
+                const row = kernel[i];
+                for (let j = 0; j < nS; j++) {
+                    predicted[j] += m * row[j];
+                }
+            }
+            
+            // Condition on the observation
+            const likelihood = this.observationLikelihood(trial.x_t, trial.likelihood_width, likelihoodFunction);
+            let total = 0;
+            for (let tau = 0; tau < nT; tau++) {
+                const offset = tau * nS;
+                for (let i = 0; i < nS; i++) {
+                    predicted[offset + i] *= likelihood[i];
+                    total += predicted[offset + i];
+                }
+            }
+            
+            if (total > 0) {
+                for (let k = 0; k < predicted.length; k++) {
+                    predicted[k] /= total;
+                }
+                joint = predicted;
+            } else {
+                // Observation impossible under the model (should not happen with
+                // generated data); restart from the likelihood alone
+                console.warn(`BayesianObserver: zero evidence at trial ${trial.trial_idx}, resetting posterior`);
+                joint = this.resetFromLikelihood(likelihood);
+            }
+            
+            estimates.push(this.summarize(joint));
+        }
+        
+        return estimates;
+    }
+    
+    /**
+     * Prior mass of grid bin i under a uniform initial state
+     * @param {number} i - Grid bin index
+     * @returns {number} Mass of the bin
+     */
+    uniformBinMass(i) {
+        if (this.circular) {
+            return 1 / this.nStates;
+        }
+        const range = this.generator.STATE_RANGE;
+        const lower = Math.max(0, this.grid[i] - this.gridStep / 2);
+        const upper = Math.min(range, this.grid[i] + this.gridStep / 2);
+        return (upper - lower) / range;
+    }
+    
+    /**
+     * Build a posterior from the likelihood alone, with tau reset to 0
+     * @param {Float64Array} likelihood - p(x_t | s) per grid bin
+     * @returns {Float64Array} Normalized joint distribution
+     */
+    resetFromLikelihood(likelihood) {
+        const joint = new Float64Array(this.nStates * (this.maxTau + 1));
+        const total = likelihood.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < this.nStates; i++) {
+            joint[i] = total > 0 ? likelihood[i] / total : 1 / this.nStates;
+        }
+        return joint;
+    }
+    
+    /**
+     * Summarize the joint posterior for one trial. In the circular state space
+     * the mean and SD are the circular mean and circular standard deviation.
+     * @param {Float64Array} joint - Joint distribution over (tau, state)
+     * @returns {Object} Posterior mean, MAP, SD and change-point probability
+     */
+    summarize(joint) {
+        const nS = this.nStates;
+        const marginal = new Float64Array(nS);
+        for (let k = 0; k < joint.length; k++) {
+            marginal[k % nS] += joint[k];
+        }
+        
+        let mapIdx = 0;
+        for (let i = 0; i < nS; i++) {
+            if (marginal[i] > marginal[mapIdx]) {
+                mapIdx = i;
+            }
+        }
+        const { mean, sd } = this.circular ? this.circularMoments(marginal) : this.linearMoments(marginal);
+        
+        // tau_t = 0 exactly when a change happened on this trial
+        let changeProbability = 0;
+        for (let i = 0; i < nS; i++) {
+            changeProbability += joint[i];
+        }
+        
+        return {
+            mean: mean,
+            map: this.grid[mapIdx],
+            sd: sd,
+            changeProbability: changeProbability
+        };
+    }
+    
+    /**
+     * @param {Float64Array} marginal - Posterior mass per grid bin
+     * @returns {Object} { mean, sd }
+     */
+    linearMoments(marginal) {
+        let mean = 0;
+        for (let i = 0; i < this.nStates; i++) {
+            mean += marginal[i] * this.grid[i];
+        }
+        
+        let variance = 0;
+        for (let i = 0; i < this.nStates; i++) {
+            variance += marginal[i] * (this.grid[i] - mean) ** 2;
+        }
+        return { mean: mean, sd: Math.sqrt(variance) };
+    }
+    
+    /**
+     * Circular mean and standard deviation, in state units
+     * @param {Float64Array} marginal - Posterior mass per grid bin
+     * @returns {Object} { mean, sd }
+     */
+    circularMoments(marginal) {
+        const range = this.generator.STATE_RANGE;
+        let cos = 0;
+        let sin = 0;
+        for (let i = 0; i < this.nStates; i++) {
+            const angle = 2 * Math.PI * this.grid[i] / range;
+            cos += marginal[i] * Math.cos(angle);
+            sin += marginal[i] * Math.sin(angle);
+        }
+        
+        const length = Math.max(Math.hypot(cos, sin), 1e-12); // Mean resultant length
+        const mean = (Math.atan2(sin, cos) * range / (2 * Math.PI) + range) % range;
+        return { mean: mean, sd: Math.sqrt(-2 * Math.log(Math.min(length, 1))) * range / (2 * Math.PI) };
+    }
+    
+    /**
+     * Add observer columns to every trial of a sequence (in place)
+     * @param {Array} trials - Trial objects from StimulusGenerator.generateSequence()
+     * @returns {Array} The same trials, with observer_* fields added
+     */
+    annotateSequence(trials) {
+        const estimates = this.filter(trials);
+        
+        trials.forEach((trial, i) => {
+            trial.observer_mean = estimates[i].mean;
+            trial.observer_map = estimates[i].map;
+            trial.observer_sd = estimates[i].sd;
+            trial.observer_cp_prob = estimates[i].changeProbability;
+        });
+        
+        return trials;
+    }
+    
+    /**
+     * Smallest maxTau with which the hazard functions of all conditions are tracked exactly:
+     * one full period after the tau from which they settle
+     * @param {StimulusGenerator} generator - Generator with the hazard functions
+     * @returns {number} Tau
+     * @throws {Error} If a hazard function never settles
+     */
+    static requiredMaxTau(generator) {
+        return Math.max(0, ...Object.entries(generator.hazards).map(([condition, hazard]) => {
+            if (hazard.settledFrom === null) {
+                throw new Error(`The ${condition} hazard function ${hazard.label} never settles, so the ideal observer cannot track it`);
+            }
+            return hazard.settledFrom + hazard.period - 1;
+        }));
+    }
+    
+    /**
+     * Annotate all tutorial and main sequences
+     * @param {Object} sequences - Output of StimulusGenerator.generateAllSequences()
+     * @returns {Object} The same sequences, annotated
+     */
+    annotateAllSequences(sequences) {
+        for (const condition of Object.keys(sequences)) {
+            sequences[condition].tutorials.forEach(trials => this.annotateSequence(trials));
+            this.annotateSequence(sequences[condition].main);
+        }
+        return sequences;
+    }
+}
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BayesianObserver };
+} else {
+    // Make available globally when used directly in browser
+    window.BayesianObserver = BayesianObserver;
+}
@@ -0,0 +1,322 @@
+/**
+ * Incremental Data Submission for the NeuroState Estimation Task
+ * Trials are sent to the configured endpoint in batches while the session runs.
+ * Every submission is written to IndexedDB before it is sent and removed once the
+ * server accepts it, so failed (or interrupted) submissions are retried with
+ * exponential backoff, including on the next page load.
+ */
+
+class DataSubmitter {
+    /**
+     * @param {Object} options - The `submission` section of ExperimentConfig
+     * @param {string} options.endpoint - URL that accepts POSTed JSON submissions
+     * @param {number} options.batchSize - Trials per batch
+     * @param {number} options.retryBaseDelay - First retry delay (ms)
+     * @param {number} options.maxRetryDelay - Upper bound on the retry delay (ms)
+     */
+    constructor(options) {
+        this.endpoint = options.endpoint;
+        this.batchSize = options.batchSize;
+        this.retryBaseDelay = options.retryBaseDelay;
+        this.maxRetryDelay = options.maxRetryDelay;
+        this.participantID = null; // Set by start() or resume()
+        this.sessionID = null;
+        
+        this.buffer = []; // Trials not yet part of a submission
+        this.firstTrial = 0; // Number of the first buffered trial within the session
+        this.sequence = 0; // Orders submissions created within the same millisecond
+        this.retryAttempt = 0;
+        this.retryTimer = null;
+        this.sendingPromise = null; // Set while queued submissions are being sent
+        
+        this.queue = new SubmissionQueue();
+        
+        // Send whatever is left when the tab is closed or hidden for good
+        this.handlePageHide = this.handlePageHide.bind(this);
+        window.addEventListener('pagehide', this.handlePageHide);
+        window.addEventListener('online', () => this.retryPending());
+        
+        // Submissions left over from an earlier page load
+        this.retryPending();
+    }
+    
+    /**
+     * Start submitting the trials of a new session
+     * @param {string} participantID - Participant the trials belong to
+     * @param {string} sessionID - Session the trials belong to; part of every submission id
+     */
+    start(participantID, sessionID) {
+        this.participantID = participantID;
+        this.sessionID = sessionID;
+        this.firstTrial = 0;
+        this.buffer = [];
+    }
+    
+    /**
+     * Continue an interrupted session: later batches are numbered after the trials
+     * that were already logged, so their ids do not collide with earlier batches
+     * @param {string} participantID - Participant of the resumed session
+     * @param {string} sessionID - Session ID from the snapshot
+     * @param {number} trialsLogged - Trials logged before the interruption
+     */
+    resume(participantID, sessionID, trialsLogged) {
+        this.start(participantID, sessionID);
+        this.firstTrial = trialsLogged;
+    }
+    
+    /**
+     * Add a logged trial; sends a batch when enough trials have accumulated
+     * @param {Object} trial - Trial data
+     */
+    addTrial(trial) {
+        this.buffer.push(trial);
+        if (this.buffer.length >= this.batchSize) {
+            this.flush().catch(error => console.warn(`Could not queue trial batch: ${error.message}`));
+        }
+    }
+    
+    /**
+     * Send all buffered trials as one batch
+     * @returns {Promise<boolean>} Whether all pending submissions reached the server
+     */
+    async flush() {
+        if (!this.buffer.length) {
+            return this.retryPending();
+        }
+        
+        const submission = this.createSubmission('trials', { trials: this.buffer });
+        this.buffer = [];
+        await this.queue.add(submission);
+        return this.retryPending();
+    }
+    
+    /**
+     * Send the remaining trials and the complete data set at the end of the session
+     * @param {Object} experimentData - Full experiment data
+     * @returns {Promise<boolean>} Whether everything reached the server
+     */
+    async submitCompletion(experimentData) {
+        if (this.buffer.length) {
+            await this.queue.add(this.createSubmission('trials', { trials: this.buffer }));
+            this.buffer = [];
+        }
+        
+        await this.queue.add(this.createSubmission('complete', { data: experimentData }));
+        return this.retryPending();
+    }
+    
+    /**
+     * Build a submission envelope. The id lets the server ignore duplicates;
+     * trial batches are identified by the session and the number of their first trial.
+     * @param {string} kind - 'trials' or 'complete'
+     * @param {Object} payload - Submission content
+     * @returns {Object} Submission
+     */
+    createSubmission(kind, payload) {
+        let firstTrial = null;
+        if (kind === 'trials') {
+            firstTrial = this.firstTrial;
+            this.firstTrial += payload.trials.length;
+        }
+        return Object.assign({
+            id: `${this.participantID}-${this.sessionID}-${kind}-${firstTrial === null ? 'final' : firstTrial}`,
+            kind: kind,
+            participantID: this.participantID,
+            sessionID: this.sessionID,
+            firstTrial: firstTrial,
+            sequence: this.sequence++,
+            createdAt: new Date().toISOString()
+        }, payload);
+    }
+    
+    /**
+     * Send every queued submission. If a run is already in progress, another one
+     * starts when it ends so that newly queued submissions are included.
+     * @returns {Promise<boolean>} Whether the queue is now empty
+     */
+    retryPending() {
+        if (this.sendingPromise) {
+            return this.sendingPromise.then(() => this.retryPending());
+        }
+        
+        this.sendingPromise = this.sendPending().finally(() => {
+            this.sendingPromise = null;
+        });
+        return this.sendingPromise;
+    }
+    
+    /**
+     * Send queued submissions, oldest first. Stops at the first failure and
+     * schedules another attempt.
+     * @returns {Promise<boolean>} Whether the queue is now empty
+     */
+    async sendPending() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        
+        try {
+            const pending = await this.queue.getAll();
+            for (const submission of pending) {
+                await this.send(submission);
+                await this.queue.delete(submission.id);
+            }
+            this.retryAttempt = 0;
+            return true;
+        } catch (error) {
+            console.warn(`Data submission failed, will retry: ${error.message}`);
+            this.scheduleRetry();
+            return false;
+        }
+    }
+    
+    /**
+     * Schedule the next retry with exponential backoff
+     */
+    scheduleRetry() {
+        const delay = Math.min(this.retryBaseDelay * Math.pow(2, this.retryAttempt), this.maxRetryDelay);
+        this.retryAttempt++;
+        this.retryTimer = setTimeout(() => this.retryPending(), delay);
+    }
+    
+    /**
+     * POST one submission to the endpoint
+     * @param {Object} submission - Submission envelope
+     * @returns {Promise<void>} Resolves when the server accepted the submission
+     */
+    async send(submission) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission)
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for submission ${submission.id}`);
+        }
+    }
+    
+    /**
+     * Number of submissions still waiting to be sent
+     * @returns {Promise<number>} Pending submission count
+     */
+    async pendingCount() {
+        const pending = await this.queue.getAll();
+        return pending.length + (this.buffer.length ? 1 : 0);
+    }
+    
+    /**
+     * Last chance to send buffered trials when the page is being unloaded.
+     * The batch is also queued so that it is retried on the next visit if the
+     * beacon does not arrive.
+     */
+    handlePageHide() {
+        if (!this.buffer.length) {
+            return;
+        }
+        
+        const submission = this.createSubmission('trials', { trials: this.buffer });
+        this.buffer = [];
+        this.queue.add(submission).catch(error => console.warn(`Could not queue trial batch: ${error.message}`));
+        
+        if (navigator.sendBeacon) {
+            const blob = new Blob([JSON.stringify(submission)], { type: 'application/json' });
+            navigator.sendBeacon(this.endpoint, blob);
+        }
+    }
+}
+
+/**
+ * Persistent queue of submissions, backed by IndexedDB.
+ * Falls back to memory when IndexedDB is unavailable (e.g. private browsing),
+ * and for single submissions that IndexedDB fails to store (e.g. over quota).
+ */
+class SubmissionQueue {
+    constructor(dbName = 'neurostate-submissions', storeName = 'pending') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.memory = new Map();
+        this.dbPromise = this.open();
+    }
+    
+    /**
+     * Open the database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when using the memory fallback
+     */
+    open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+        
+        return new Promise(resolve => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, queued submissions will not survive a reload');
+                resolve(null);
+            };
+        });
+    }
+    
+    /**
+     * Run one request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+    
+    /**
+     * @param {Object} submission - Submission with a unique `id`
+     * @returns {Promise<void>}
+     */
+    async add(submission) {
+        if (!(await this.dbPromise)) {
+            this.memory.set(submission.id, submission);
+            return;
+        }
+        try {
+            await this.run('readwrite', store => store.put(submission));
+        } catch (error) {
+            console.warn(`IndexedDB could not store submission ${submission.id}, keeping it in memory: ${error.message}`);
+            this.memory.set(submission.id, submission);
+        }
+    }
+    
+    /**
+     * @returns {Promise<Array>} All queued submissions, oldest first
+     */
+    async getAll() {
+        let submissions = Array.from(this.memory.values());
+        if (await this.dbPromise) {
+            submissions = submissions.concat(await this.run('readonly', store => store.getAll()));
+        }
+        return submissions.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.sequence - b.sequence);
+    }
+    
+    /**
+     * @param {string} id - Submission id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        if (this.memory.delete(id) || !(await this.dbPromise)) {
+            return;
+        }
+        await this.run('readwrite', store => store.delete(id));
+    }
+}
+
+// Make available globally
+window.DataSubmitter = DataSubmitter;
+window.SubmissionQueue = SubmissionQueue;
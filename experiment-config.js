@@ -0,0 +1,1072 @@
+/**
+ * Experiment Configuration for the NeuroState Estimation Task
+ * All tunable parameters live in one config object. A variant is a JSON file in
+ * configs/ selected with the URL parameter ?config=<name>; its values are merged
+ * onto DEFAULTS, validated against SCHEMA, and the resolved config is saved
+ * with the experiment data.
+ */
+
+// In Node the companion scripts are not loaded as globals, so require them here
+if (typeof module !== 'undefined' && module.exports && typeof HazardFunctions === 'undefined') {
+    global.HazardFunctions = require('./hazard-functions.js').HazardFunctions;
+}
+if (typeof module !== 'undefined' && module.exports && typeof LikelihoodFunctions === 'undefined') {
+    global.LikelihoodFunctions = require('./likelihood-functions.js').LikelihoodFunctions;
+}
+if (typeof module !== 'undefined' && module.exports && typeof TransitionKernels === 'undefined') {
+    global.TransitionKernels = require('./transition-kernels.js').TransitionKernels;
+}
+if (typeof module !== 'undefined' && module.exports && typeof ScoringRules === 'undefined') {
+    global.ScoringRules = require('./scoring.js').ScoringRules;
+}
+if (typeof module !== 'undefined' && module.exports && typeof FormScreen === 'undefined') {
+    global.FormScreen = require('./forms.js').FormScreen;
+}
+
+class ExperimentConfig {
+    /**
+     * Load the config selected by the page URL
+     * @param {string} search - URL query string (default: window.location.search)
+     * @returns {Promise<Object>} Resolved and validated config
+     * @throws {Error} If the config cannot be loaded, is invalid or cannot be run in the browser
+     */
+    static async load(search = window.location.search) {
+        const name = new URLSearchParams(search).get('config');
+        if (!name) {
+            return ExperimentConfig.resolve({}, 'default');
+        }
+        
+        if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+            throw new Error(`Invalid config name "${name}": use only letters, digits, "-" and "_"`);
+        }
+        
+        const url = `${ExperimentConfig.CONFIG_DIR}/${name}.json`;
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-store' });
+        } catch (error) {
+            throw new Error(`Could not load config "${name}" from ${url}: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Could not load config "${name}" from ${url}: HTTP ${response.status}`);
+        }
+        
+        let overrides;
+        try {
+            overrides = await response.json();
+        } catch (error) {
+            throw new Error(`Config "${name}" is not valid JSON: ${error.message}`);
+        }
+        
+        // Running the ideal observer for every candidate seed would keep the participant waiting for minutes
+        const config = ExperimentConfig.resolve(overrides, name);
+        const constraints = config.sequenceConstraints;
+        if (constraints.enabled && constraints.maxObserverErrorDifference !== null && config.sequenceFile.name === null) {
+            throw new Error(`Config "${name}": sequenceConstraints.maxObserverErrorDifference is too slow to search in the browser; ` +
+                'generate the sequences with tools/generate-sequences.js and set sequenceFile.name');
+        }
+        return config;
+    }
+    
+    /**
+     * Merge overrides onto the defaults and validate the result
+     * @param {Object} overrides - Partial config (e.g. parsed from a JSON file)
+     * @param {string} name - Config name, recorded in the resolved config
+     * @returns {Object} Resolved config
+     */
+    static resolve(overrides, name = 'default') {
+        if (!ExperimentConfig.isPlainObject(overrides)) {
+            throw new Error(`Config "${name}" must be a JSON object`);
+        }
+        
+        // The config is named after the file it was loaded from
+        const config = ExperimentConfig.merge(ExperimentConfig.DEFAULTS, ExperimentConfig.migrate(overrides),
+            ExperimentConfig.SCHEMA);
+        config.name = name;
+        
+        const errors = ExperimentConfig.validate(config);
+        if (errors.length) {
+            throw new Error(`Invalid config "${name}":\n- ${errors.join('\n- ')}`);
+        }
+        
+        return config;
+    }
+    
+    /**
+     * Translate settings of earlier config versions into their current form.
+     * scoring.maxPoints and scoring.pointsLostPerUnit set the linear scoring used
+     * before scoring.rule existed; they become a linear rule unless a rule is set
+     * too (validation then reports them).
+     * @param {Object} overrides - Partial config
+     * @returns {Object} Overrides in the current form (the input is not modified)
+     */
+    static migrate(overrides) {
+        const scoring = overrides.scoring;
+        if (!ExperimentConfig.isPlainObject(scoring) || 'rule' in scoring ||
+            !('maxPoints' in scoring || 'pointsLostPerUnit' in scoring)) {
+            return overrides;
+        }
+        
+        const { maxPoints, pointsLostPerUnit, ...rest } = scoring;
+        const rule = { type: 'linear' };
+        if (maxPoints !== undefined) {
+            rule.maxPoints = maxPoints;
+        }
+        if (pointsLostPerUnit !== undefined) {
+            rule.pointsLostPerUnit = pointsLostPerUnit;
+        }
+        return Object.assign({}, overrides, { scoring: Object.assign(rest, { rule: rule }) });
+    }
+    
+    /**
+     * Validate a full config
+     * @param {Object} config - Config to validate
+     * @returns {Array} Error messages (empty if valid)
+     */
+    static validate(config) {
+        const errors = [];
+        ExperimentConfig.validateValue(config, ExperimentConfig.SCHEMA, 'config', errors);
+        
+        // Checks that span several fields
+        if (errors.length === 0) {
+            const defaults = config.trialCountOptions.filter(option => option.default);
+            if (defaults.length > 1) {
+                errors.push('config.trialCountOptions: at most one option can be marked as default');
+            }
+            if (config.display.snowballFinalSize > config.display.snowballInitialSize) {
+                errors.push('config.display.snowballFinalSize must not be larger than config.display.snowballInitialSize');
+            }
+            // A change from an end of the range must have some chance to land inside it
+            if (config.stimulus.boundary === 'truncate' &&
+                ['bimodal', 'exploratory'].includes(config.stimulus.transitionKernel.type) &&
+                config.stimulus.changeSeparation >= config.stimulus.changeSizeHalfWidth) {
+                errors.push('config.stimulus.changeSeparation must be smaller than config.stimulus.changeSizeHalfWidth with the truncate boundary');
+            }
+            for (const [condition, range] of Object.entries(config.sequenceConstraints.changesPerHundred)) {
+                if (range.min !== null && range.max !== null && range.min > range.max) {
+                    errors.push(`config.sequenceConstraints.changesPerHundred.${condition}.min must not be larger than max`);
+                }
+            }
+            if (config.pastDots.minAlpha > config.pastDots.maxAlpha) {
+                errors.push('config.pastDots.minAlpha must not be larger than config.pastDots.maxAlpha');
+            }
+            if (new Set(config.assignment.sequenceVariants).size !== config.assignment.sequenceVariants.length) {
+                errors.push('config.assignment.sequenceVariants must not contain the same seed twice');
+            }
+            if (config.sequenceFile.name !== null) {
+                if (!/^[A-Za-z0-9_-]+$/.test(config.sequenceFile.name)) {
+                    errors.push('config.sequenceFile.name: use only letters, digits, "-" and "_"');
+                }
+                if (config.assignment.sequenceVariants.length) {
+                    errors.push('config.assignment.sequenceVariants cannot be combined with config.sequenceFile.name, which fixes the sequences');
+                }
+            }
+            if (config.scoring.bonus.minAmount > config.scoring.bonus.maxAmount) {
+                errors.push('config.scoring.bonus.minAmount must not be larger than config.scoring.bonus.maxAmount');
+            }
+            const phaseCount = config.tutorial.phases.length;
+            config.tutorial.performance.forEach((criterion, i) => {
+                if (criterion.phase > phaseCount) {
+                    errors.push(`config.tutorial.performance[${i}]: there are only ${phaseCount} tutorial phases`);
+                }
+            });
+            config.tutorial.comprehension.forEach((check, i) => {
+                if (check.after > phaseCount) {
+                    errors.push(`config.tutorial.comprehension[${i}]: there are only ${phaseCount} tutorial phases`);
+                }
+                if (config.tutorial.comprehension.findIndex(other => other.after === check.after) !== i) {
+                    errors.push(`config.tutorial.comprehension[${i}]: there is already a check after ${check.after}`);
+                }
+                for (const question of check.questions) {
+                    if (!question.options.some(option => option.value === question.correct)) {
+                        errors.push(`config.tutorial.comprehension[${i}]: the correct answer of "${question.id}" is not one of its options`);
+                    }
+                }
+            });
+            for (const [name, definition] of Object.entries(config.forms)) {
+                for (const message of FormScreen.checkDefinition(definition)) {
+                    errors.push(`config.forms.${name}.${message}`);
+                }
+            }
+        }
+        
+        // Hazard function per condition (see hazard-functions.js)
+        const hazards = config.stimulus && config.stimulus.hazards;
+        if (ExperimentConfig.isPlainObject(hazards)) {
+            const maxTau = config.observer && config.observer.maxTau;
+            for (const [condition, spec] of Object.entries(hazards)) {
+                try {
+                    const hazard = HazardFunctions.create(spec);
+                    // The ideal observer tracks tau exactly up to maxTau, so the hazard must have settled by then
+                    const requiredMaxTau = hazard.settledFrom === null ? null : hazard.settledFrom + hazard.period - 1;
+                    if (requiredMaxTau === null) {
+                        errors.push(`config.stimulus.hazards.${condition}: ${hazard.label} never settles, so the ideal observer cannot track it`);
+                    } else if (typeof maxTau === 'number' && maxTau < requiredMaxTau) {
+                        errors.push(`config.observer.maxTau must be at least ${requiredMaxTau}, where the ` +
+                            `${condition} hazard function has settled (got ${maxTau})`);
+                    }
+                } catch (error) {
+                    errors.push(`config.stimulus.hazards.${condition}: ${error.message}`);
+                }
+            }
+        }
+        
+        // Likelihood families per condition and per tutorial phase (see likelihood-functions.js)
+        const likelihoods = config.stimulus && config.stimulus.likelihoods;
+        if (ExperimentConfig.isPlainObject(likelihoods)) {
+            for (const [condition, spec] of Object.entries(likelihoods)) {
+                try {
+                    LikelihoodFunctions.create(spec);
+                } catch (error) {
+                    errors.push(`config.stimulus.likelihoods.${condition}: ${error.message}`);
+                }
+            }
+        }
+        const phases = config.tutorial && config.tutorial.phases;
+        if (Array.isArray(phases)) {
+            phases.forEach((phase, i) => {
+                if (ExperimentConfig.isPlainObject(phase) && ExperimentConfig.isPlainObject(phase.likelihood)) {
+                    try {
+                        LikelihoodFunctions.create(phase.likelihood);
+                    } catch (error) {
+                        errors.push(`config.tutorial.phases[${i}].likelihood: ${error.message}`);
+                    }
+                }
+            });
+        }
+        
+        // Transition kernel, which uses the geometry of the stimulus section (see transition-kernels.js)
+        const stimulus = config.stimulus;
+        if (ExperimentConfig.isPlainObject(stimulus) && ExperimentConfig.isPlainObject(stimulus.transitionKernel)) {
+            try {
+                TransitionKernels.create(stimulus.transitionKernel, {
+                    stateRange: stimulus.stateRange,
+                    changeSeparation: stimulus.changeSeparation,
+                    changeSizeHalfWidth: stimulus.changeSizeHalfWidth
+                });
+            } catch (error) {
+                errors.push(`config.stimulus.transitionKernel: ${error.message}`);
+            }
+        }
+        
+        // Scoring rule (see scoring.js)
+        const rule = config.scoring && config.scoring.rule;
+        if (ExperimentConfig.isPlainObject(rule)) {
+            try {
+                ScoringRules.create(rule);
+            } catch (error) {
+                errors.push(`config.scoring.rule: ${error.message}`);
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Validate one value against a schema node
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema node
+     * @param {string} path - Dotted path, for error messages
+     * @param {Array} errors - Error messages are appended here
+     */
+    static validateValue(value, schema, path, errors) {
+        if (value === null && schema.nullable) {
+            return;
+        }
+        
+        switch (schema.type) {
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    errors.push(`${path} must be a number (got ${JSON.stringify(value)})`);
+                } else if (schema.type === 'integer' && !Number.isInteger(value)) {
+                    errors.push(`${path} must be an integer (got ${value})`);
+                } else if (schema.min !== undefined && value < schema.min) {
+                    errors.push(`${path} must be >= ${schema.min} (got ${value})`);
+                } else if (schema.max !== undefined && value > schema.max) {
+                    errors.push(`${path} must be <= ${schema.max} (got ${value})`);
+                }
+                break;
+            
+            case 'string':
+                if (typeof value !== 'string' || (!schema.allowEmpty && value === '')) {
+                    errors.push(`${path} must be a non-empty string (got ${JSON.stringify(value)})`);
+                } else if (schema.enum && !schema.enum.includes(value)) {
+                    errors.push(`${path} must be one of ${schema.enum.join(', ')} (got "${value}")`);
+                }
+                break;
+            
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    errors.push(`${path} must be true or false (got ${JSON.stringify(value)})`);
+                }
+                break;
+            
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path} must be an array`);
+                    break;
+                }
+                if (schema.length !== undefined && value.length !== schema.length) {
+                    errors.push(`${path} must have exactly ${schema.length} entries (got ${value.length})`);
+                }
+                if (schema.minLength !== undefined && value.length < schema.minLength) {
+                    errors.push(`${path} must have at least ${schema.minLength} entries (got ${value.length})`);
+                }
+                value.forEach((item, i) => ExperimentConfig.validateValue(item, schema.items, `${path}[${i}]`, errors));
+                break;
+            
+            case 'object':
+                if (!ExperimentConfig.isPlainObject(value)) {
+                    errors.push(`${path} must be an object`);
+                    break;
+                }
+                if (schema.properties) {
+                    for (const key of Object.keys(value)) {
+                        if (!(key in schema.properties)) {
+                            errors.push(`${path}.${key} is not a known setting`);
+                        }
+                    }
+                    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                        if (value[key] === undefined) {
+                            if (!propertySchema.optional) {
+                                errors.push(`${path}.${key} is required`);
+                            }
+                        } else {
+                            ExperimentConfig.validateValue(value[key], propertySchema, `${path}.${key}`, errors);
+                        }
+                    }
+                }
+                break;
+            
+            default:
+                // Schema nodes without a type accept any value
+                break;
+        }
+    }
+    
+    /**
+     * Deep-merge overrides onto defaults. Objects are merged key by key, arrays and
+     * nodes marked `replace` in the schema are replaced as a whole.
+     * @param {*} defaults - Default value
+     * @param {*} overrides - Override value
+     * @param {Object} schema - Schema node for this value
+     * @returns {*} Merged value (defaults are not modified)
+     */
+    static merge(defaults, overrides, schema = {}) {
+        if (overrides === undefined) {
+            return ExperimentConfig.clone(defaults);
+        }
+        if (schema.replace || !ExperimentConfig.isPlainObject(defaults) || !ExperimentConfig.isPlainObject(overrides)) {
+            return ExperimentConfig.clone(overrides);
+        }
+        
+        const merged = ExperimentConfig.clone(defaults);
+        for (const [key, value] of Object.entries(overrides)) {
+            const childSchema = (schema.properties && schema.properties[key]) || {};
+            merged[key] = ExperimentConfig.merge(defaults[key], value, childSchema);
+        }
+        return merged;
+    }
+    
+    /**
+     * Deep copy of a JSON-compatible value
+     * @param {*} value - Value to copy
+     * @returns {*} Copy
+     */
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    
+    /**
+     * @param {*} value - Value to check
+     * @returns {boolean} Whether value is a plain (non-array) object
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Directory (relative to index.html) that holds the JSON config files
+ExperimentConfig.CONFIG_DIR = 'configs';
+
+ExperimentConfig.DEFAULTS = {
+    stimulus: {
+        stateRange: 300,             // Normalized state range [0, stateRange]
+        likelihoodHalfWidth: 20,     // Half-width of triangular likelihood
+        changeSizeHalfWidth: 40,     // Half-width of bimodal transition lobes
+        changeSeparation: 15,        // Distance between bimodal peaks and the current state
+        boundary: 'reflect',         // Samples beyond the range: 'clamp', 'truncate', 'reflect' or 'circular' (wrap around)
+        seed: 12345,                 // Seed for the stimulus sequences
+        hazards: {
+            HI: { type: 'constant', rate: 0.1 },
+            HD: { type: 'logistic', slope: 1, midpoint: 10 }
+        },
+        // Likelihood family per condition (see likelihood-functions.js), scaled by likelihoodHalfWidth
+        likelihoods: {
+            HI: { type: 'triangular' },
+            HD: { type: 'triangular' }
+        },
+        // Distribution of the new state at a change point (see transition-kernels.js);
+        // 'bimodal' is the kernel of the paper; 'exploratory' (the original generator) adds large and exploration jumps
+        transitionKernel: { type: 'bimodal' }
+    },
+    // Pre-generated stimulus sequences (see tools/generate-sequences.js)
+    sequenceFile: {
+        name: null,                  // File in sequences/ without ".json", e.g. 'pilot-v1'; null: generate in the browser
+        checksum: null               // Expected sequence checksum; the experiment does not start if the file has another
+    },
+    // Constrained generation: candidate seeds are tried until the main sequences meet every
+    // constraint that is set (null: not checked); see sequence-constraints.js
+    sequenceConstraints: {
+        enabled: false,              // Search for sequences that meet the constraints, in the browser and in tools/generate-sequences.js
+        maxCandidates: 200,          // Candidate seeds tried before giving up
+        changesPerHundred: {         // Range of change points per 100 main trials
+            HI: { min: null, max: null },
+            HD: { min: null, max: null }
+        },
+        maxRunLengthDifference: null, // Largest difference between the mean run lengths of HI and HD (trials)
+        minQuartileProportion: null, // Smallest share of main trials with s_t in each quartile of the range, in each condition
+        maxObserverErrorDifference: null // Largest difference between the ideal observer's mean absolute errors in HI and HD
+    },
+    // Tolerances of the sequence diagnostics report (see sequence-diagnostics.js)
+    diagnostics: {
+        maxZ: 3.5,                   // Largest |z| of the hazard at any tau and of the mean run length
+        minExpected: 5,              // The hazard is only checked at tau values with this many expected changes and non-changes
+        minRuns: 10,                 // Run lengths are only checked with this many complete runs
+        minSamples: 20,              // Jumps, noise and clamping are only checked with this many samples
+        ksCoefficient: 1.63,         // Distributions fail when the KS distance exceeds ksCoefficient / sqrt(n) (1.63: p < 0.01)
+        maxOutsideKernelProportion: 0.02, // Largest share of jumps beyond the reach of the transition kernel
+        maxClampedProportion: 0.01   // Largest share of sampled states or observations clamped to the ends of the range
+    },
+    design: {
+        withinSubject: true          // Run both conditions, in counterbalanced order
+    },
+    // Allocation of participants to condition order, past-dots group and sequence variant (see assignment.js)
+    assignment: {
+        method: 'block',             // 'block' (permuted blocks of all cells), 'minimum-count' (least-filled cell) or 'random'
+        endpoint: null,              // Assignment service, POST <endpoint> (see server/dev-server.js); null: assign in the browser
+        timeout: 5000,               // ms to wait for the service before assigning in the browser
+        sequenceVariants: []         // Stimulus seeds to balance across participants (empty: only stimulus.seed)
+    },
+    blocks: {
+        trialsPerBlock: 100,         // Main trials between rest breaks / score checkpoints
+        breakMode: 'self-paced',     // 'self-paced' (continue at any time) or 'enforced' (fixed minimum length)
+        breakDuration: 30            // Length of enforced breaks (s)
+    },
+    tutorial: {
+        // Tutorial phases, run in order before the main trials of each condition
+        phases: [
+            {
+                trials: 10,
+                text: 'Practice making estimates by clicking on the line. Try to place your estimate close to the white dot.',
+                showTrueState: false,        // Show the hidden state as a red dot
+                trueStateLabel: false,       // Label the red dot "True State"
+                likelihoodScale: 1,          // Multiplies stimulus.likelihoodHalfWidth
+                likelihood: null,            // Likelihood spec for this phase, e.g. { type: 'gaussian' }; null: the condition's
+                highlightChangePoints: false, // Mark trials on which the hidden state changed
+                showPastDots: false,         // Show the recent observations
+                feedback: 'none'             // After each click: 'none', 'points' or 'error' (distance to the hidden state)
+            },
+            {
+                trials: 10,
+                text: 'The white dot is a noisy observation of a hidden state. The true state is shown as a red dot. ' +
+                    'Try to estimate the hidden state.',
+                showTrueState: true,
+                trueStateLabel: true,
+                likelihoodScale: 1,
+                likelihood: null,
+                highlightChangePoints: false,
+                showPastDots: false,
+                feedback: 'none'
+            },
+            {
+                trials: 15,
+                text: 'The hidden state may change over time (red dot). The changes follow specific patterns.',
+                showTrueState: true,
+                trueStateLabel: true,
+                likelihoodScale: 0.5,
+                likelihood: null,
+                highlightChangePoints: true,
+                showPastDots: false,
+                feedback: 'none'
+            },
+            {
+                trials: 15,
+                text: 'Sometimes the hidden state (red dot) doesn\'t change. Use past observations to improve your estimate.',
+                showTrueState: true,
+                trueStateLabel: true,
+                likelihoodScale: 0.5,
+                likelihood: null,
+                highlightChangePoints: false,
+                showPastDots: false,
+                feedback: 'none'
+            },
+            {
+                trials: 20,
+                text: 'Final practice with the true state (red dot) visible. In the main experiment, you won\'t see the true state.',
+                showTrueState: true,
+                trueStateLabel: false,
+                likelihoodScale: 1,
+                likelihood: null,
+                highlightChangePoints: true,
+                showPastDots: false,
+                feedback: 'none'
+            }
+        ],
+        feedbackDuration: 800,       // How long trial feedback stays on screen (ms)
+        maxAttempts: 3,              // Tries per comprehension check or gated phase before the participant is screened out
+        // Multiple-choice checks; `after` is 0 for the instructions or the tutorial phase they follow.
+        // None by default; configs/online-study.json has checks after the instructions and phase 3.
+        comprehension: [],
+        // Phases that are repeated while the mean distance between click and true state is too large
+        // (none by default; configs/online-study.json gates phases 2 and 5)
+        performance: []
+    },
+    trialCountOptions: [
+        { value: 1000, label: 'Full Experiment (1000 trials)', default: true },
+        { value: 500, label: 'Medium Version (500 trials)' },
+        { value: 200, label: 'Short Version (200 trials)' }
+    ],
+    display: {
+        canvasWidth: 800,
+        canvasHeight: 200,
+        snowballInitialSize: 20,
+        snowballFinalSize: 8,
+        snowballShrinkDuration: 400, // ms
+        snowballColor: 'white',
+        pointerSize: 10,
+        pointerColor: 'green',
+        interTrialInterval: 100      // ms
+    },
+    pastDots: {
+        assignment: 'random',        // Between-subjects: 'random' (half of the participants see the dots), 'shown' or 'hidden'
+        historyLength: 10,           // Number of previous observations shown
+        fading: 'linear',            // 'none', 'linear' (maxAlpha to minAlpha over the history) or 'exponential'
+        maxAlpha: 0.5,               // Opacity of the previous observation
+        minAlpha: 0.1,               // Opacity of the oldest observation ('linear')
+        halfLife: 3                  // Trials over which the opacity halves ('exponential')
+    },
+    // Attention checks shown between main trials; they do not change the hidden-state sequences
+    catchTrials: {
+        enabled: false,              // Insert catch trials into the main experiment
+        perHundred: 2,               // Catch trials per 100 main trials, spread evenly at seeded random positions
+        minSpacing: 20,              // Approximate fewest main trials between two catch trials
+        color: 'yellow',             // Color of the catch-trial dot
+        instruction: null,           // Shown above the line on catch trials (null: 'Click exactly on the <color> dot')
+        tolerance: 5                 // A catch trial is passed if the click is within this distance (state units)
+    },
+    scoring: {
+        // Points per trial as a function of the distance to the true state (see scoring.js)
+        rule: { type: 'radius-step', steps: [{ maxDistance: 10, points: 1 }, { maxDistance: 20, points: 0.25 }] },
+        bonus: {
+            currency: 'GBP',
+            amountPerPoint: 0.005,   // Bonus per point earned
+            minAmount: 0,            // The bonus is clipped to [minAmount, maxAmount]
+            maxAmount: 5,
+            includeTutorial: false   // Whether tutorial points count towards the bonus
+        }
+    },
+    observer: {
+        gridStep: 1,                 // Spacing of the ideal observer's state grid
+        maxTau: null                 // Largest tau tracked by the ideal observer (null: 100, or where the hazards settle if later)
+    },
+    trajectory: {
+        enabled: false               // Record the pointer path between stimulus onset and click
+    },
+    // Attention monitoring and response checks (see quality-control.js)
+    qualityControl: {
+        requestFullscreen: false,    // Ask for fullscreen when the experiment starts
+        idleThreshold: 10,           // Seconds without pointer or keyboard input, while a response is awaited, that count as idle
+        minRT: 150,                  // Responses faster than this (ms) are flagged as too fast
+        repeatTolerance: 0.5,        // Clicks within this distance (state units) of the previous click count as identical
+        edgeMargin: 2,               // Clicks within this distance of either end of the line count as out of range
+        farDistance: 60,             // Clicks further than this from all recent observations are flagged
+        farHistory: 5,               // Recent observations, including the current one, checked for farDistance
+        // A participant is flagged for exclusion when a summary measure is beyond its limit (null: not checked).
+        // Measures are computed over the main-experiment trials.
+        exclusion: {
+            maxHiddenCount: 5,           // Times the page was hidden
+            maxHiddenSeconds: 60,        // Total time the page was hidden
+            maxFullscreenExits: null,    // Times fullscreen was left
+            maxIdleCount: 10,            // Idle periods
+            maxTooFastProportion: 0.1,   // Proportion of too-fast responses
+            maxIdenticalRun: 10,         // Longest run of clicks at the same place
+            maxOutOfRangeRun: 5,         // Longest run of out-of-range clicks
+            maxFarProportion: 0.2,       // Proportion of clicks far from all recent observations
+            minAttentionScore: 0.75      // Proportion of catch trials passed (a lower limit; see catchTrials)
+        }
+    },
+    session: {
+        allowResume: true,           // Offer to resume an interrupted session after a reload
+        maxResumeGapMinutes: null    // Older sessions are not offered (null: no limit)
+    },
+    recruitment: {
+        platform: 'auto',            // 'auto' (detect from the URL), 'prolific', 'mturk' or 'none'
+        requirePlatformID: false,    // Refuse to run without a participant ID in the URL
+        blockRepeatParticipation: true, // Turn away IDs that have already started the study
+        repeatCheckEndpoint: null,   // Also ask the server, GET <endpoint>/<id> (see server/dev-server.js)
+        completionCode: null,        // Code for participants who finish the study
+        screenedOutCode: null,       // Code for participants who are screened out
+        completionURL: null,         // Redirect target, '{code}' is replaced (default for Prolific: its completion page)
+        redirectDelay: 5             // Seconds on the completion screen before the redirect
+    },
+    submission: {
+        enabled: false,              // Stream data to the endpoint during the session
+        endpoint: '/api/data',       // URL that accepts POSTed submissions (see server/dev-server.js)
+        batchSize: 50,               // Trials per submission
+        retryBaseDelay: 2000,        // ms before the first retry; doubles on each failure
+        maxRetryDelay: 60000         // Upper bound on the retry delay (ms)
+    },
+    // Consent page, demographics form and post-task questionnaire (see forms.js for the question fields).
+    // All off by default; configs/online-study.json turns them on.
+    forms: {
+        consent: {
+            enabled: false,
+            title: 'Consent to Participate',
+            text: '<p>In this study you will estimate the position of a hidden state from noisy observations. ' +
+                'It takes about 45 minutes.</p>' +
+                '<p>Taking part is voluntary and you can stop at any time by closing the page. ' +
+                'Your responses are stored under an anonymous participant ID and used for research purposes only.</p>',
+            submitLabel: 'I Consent',
+            declineLabel: 'I Do Not Consent', // Declining ends the session without recording any data
+            questions: [
+                { id: 'consent_information', type: 'checkbox', label: 'I have read and understood the information above.', required: true },
+                { id: 'consent_participate', type: 'checkbox', label: 'I agree to take part in this study.', required: true }
+            ]
+        },
+        demographics: {
+            enabled: false,
+            title: 'About You',
+            text: '',
+            submitLabel: 'Continue',
+            declineLabel: null,
+            questions: [
+                { id: 'age', type: 'number', label: 'How old are you?', required: true, min: 18, max: 100 },
+                {
+                    id: 'gender', type: 'radio', label: 'What is your gender?', required: true,
+                    options: [
+                        { value: 'female', label: 'Female' },
+                        { value: 'male', label: 'Male' },
+                        { value: 'non-binary', label: 'Non-binary' },
+                        { value: 'undisclosed', label: 'Prefer not to say' }
+                    ]
+                },
+                {
+                    id: 'handedness', type: 'radio', label: 'Which hand do you use to control the mouse?', required: true,
+                    options: [
+                        { value: 'right', label: 'Right' },
+                        { value: 'left', label: 'Left' }
+                    ]
+                },
+                {
+                    id: 'input_device', type: 'radio', label: 'What are you using to move the pointer?', required: true,
+                    options: [
+                        { value: 'mouse', label: 'Mouse' },
+                        { value: 'trackpad', label: 'Trackpad' },
+                        { value: 'other', label: 'Other' }
+                    ]
+                }
+            ]
+        },
+        questionnaire: {
+            enabled: false,
+            title: 'A Few Questions About the Task',
+            text: '<p>Please answer a few questions about the parts of the task you have just completed.</p>',
+            submitLabel: 'Finish',
+            declineLabel: null,
+            questions: [
+                {
+                    id: 'change_frequency', type: 'scale', perCondition: true, required: true,
+                    label: 'In part {part}, how often did the hidden state change?',
+                    min: 1, max: 7, minLabel: 'Very rarely', maxLabel: 'Very often'
+                },
+                {
+                    id: 'noticed_regularity', type: 'radio', perCondition: true, conditions: ['HD'], required: true,
+                    label: 'In part {part}, did you notice any regularity in when the hidden state changed?',
+                    options: [
+                        { value: 'yes', label: 'Yes' },
+                        { value: 'no', label: 'No' },
+                        { value: 'unsure', label: 'Not sure' }
+                    ]
+                },
+                {
+                    id: 'regularity_description', type: 'textarea', perCondition: true, conditions: ['HD'], required: false,
+                    label: 'If you noticed a regularity in part {part}, please describe it.', maxLength: 2000
+                },
+                {
+                    id: 'strategy', type: 'textarea', required: true, maxLength: 2000,
+                    label: 'How did you decide where to click? Please describe your strategy.'
+                }
+            ]
+        }
+    }
+};
+
+// Schema of one form in the `forms` section
+ExperimentConfig.FORM_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        title: { type: 'string' },
+        text: { type: 'string', allowEmpty: true },
+        submitLabel: { type: 'string' },
+        declineLabel: { type: 'string', nullable: true },
+        questions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string', enum: ['radio', 'select', 'scale', 'number', 'text', 'textarea', 'checkbox'] },
+                    label: { type: 'string' },
+                    required: { type: 'boolean', optional: true },
+                    options: {
+                        type: 'array',
+                        optional: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                value: { type: 'string' },
+                                label: { type: 'string' }
+                            }
+                        }
+                    },
+                    min: { type: 'number', optional: true },
+                    max: { type: 'number', optional: true },
+                    minLabel: { type: 'string', optional: true },
+                    maxLabel: { type: 'string', optional: true },
+                    maxLength: { type: 'integer', min: 1, optional: true },
+                    conditions: { type: 'array', optional: true, items: { type: 'string', enum: ['HI', 'HD'] } },
+                    perCondition: { type: 'boolean', optional: true }
+                }
+            }
+        }
+    }
+};
+
+ExperimentConfig.SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', optional: true },
+        stimulus: {
+            type: 'object',
+            properties: {
+                stateRange: { type: 'number', min: 1 },
+                likelihoodHalfWidth: { type: 'number', min: 0.001 },
+                changeSizeHalfWidth: { type: 'number', min: 0.001 },
+                changeSeparation: { type: 'number', min: 0 },
+                boundary: { type: 'string', enum: ['clamp', 'truncate', 'reflect', 'circular'] },
+                seed: { type: 'integer', min: 0, max: 4294967295 },
+                // Specs are checked by HazardFunctions.create() in validate()
+                hazards: {
+                    type: 'object',
+                    properties: {
+                        HI: { type: 'object', replace: true },
+                        HD: { type: 'object', replace: true }
+                    }
+                },
+                // Checked by LikelihoodFunctions.create() in validate()
+                likelihoods: {
+                    type: 'object',
+                    properties: {
+                        HI: { type: 'object', replace: true },
+                        HD: { type: 'object', replace: true }
+                    }
+                },
+                // Checked by TransitionKernels.create() in validate()
+                transitionKernel: { type: 'object', replace: true }
+            }
+        },
+        sequenceFile: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', nullable: true },
+                checksum: { type: 'string', nullable: true }
+            }
+        },
+        sequenceConstraints: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                maxCandidates: { type: 'integer', min: 1 },
+                changesPerHundred: {
+                    type: 'object',
+                    properties: {
+                        HI: {
+                            type: 'object',
+                            properties: {
+                                min: { type: 'number', min: 0, max: 100, nullable: true },
+                                max: { type: 'number', min: 0, max: 100, nullable: true }
+                            }
+                        },
+                        HD: {
+                            type: 'object',
+                            properties: {
+                                min: { type: 'number', min: 0, max: 100, nullable: true },
+                                max: { type: 'number', min: 0, max: 100, nullable: true }
+                            }
+                        }
+                    }
+                },
+                maxRunLengthDifference: { type: 'number', min: 0, nullable: true },
+                minQuartileProportion: { type: 'number', min: 0, max: 0.25, nullable: true },
+                maxObserverErrorDifference: { type: 'number', min: 0, nullable: true }
+            }
+        },
+        diagnostics: {
+            type: 'object',
+            properties: {
+                maxZ: { type: 'number', min: 0 },
+                minExpected: { type: 'number', min: 0 },
+                minRuns: { type: 'integer', min: 2 },
+                minSamples: { type: 'integer', min: 1 },
+                ksCoefficient: { type: 'number', min: 0 },
+                maxOutsideKernelProportion: { type: 'number', min: 0, max: 1 },
+                maxClampedProportion: { type: 'number', min: 0, max: 1 }
+            }
+        },
+        design: {
+            type: 'object',
+            properties: {
+                withinSubject: { type: 'boolean' }
+            }
+        },
+        assignment: {
+            type: 'object',
+            properties: {
+                method: { type: 'string', enum: ['block', 'minimum-count', 'random'] },
+                endpoint: { type: 'string', nullable: true },
+                timeout: { type: 'number', min: 1 },
+                sequenceVariants: { type: 'array', items: { type: 'integer', min: 0, max: 4294967295 } }
+            }
+        },
+        blocks: {
+            type: 'object',
+            properties: {
+                trialsPerBlock: { type: 'integer', min: 1 },
+                breakMode: { type: 'string', enum: ['self-paced', 'enforced'] },
+                breakDuration: { type: 'number', min: 0 }
+            }
+        },
+        tutorial: {
+            type: 'object',
+            properties: {
+                phases: {
+                    type: 'array',
+                    minLength: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            trials: { type: 'integer', min: 1 },
+                            text: { type: 'string', allowEmpty: true },
+                            showTrueState: { type: 'boolean' },
+                            trueStateLabel: { type: 'boolean' },
+                            likelihoodScale: { type: 'number', min: 0.01 },
+                            likelihood: { type: 'object', optional: true, nullable: true, replace: true },
+                            highlightChangePoints: { type: 'boolean' },
+                            showPastDots: { type: 'boolean' },
+                            feedback: { type: 'string', enum: ['none', 'points', 'error'] }
+                        }
+                    }
+                },
+                feedbackDuration: { type: 'number', min: 0 },
+                maxAttempts: { type: 'integer', min: 1 },
+                comprehension: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            after: { type: 'integer', min: 0 },
+                            review: { type: 'string', allowEmpty: true },
+                            questions: {
+                                type: 'array',
+                                minLength: 1,
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        id: { type: 'string' },
+                                        label: { type: 'string' },
+                                        options: {
+                                            type: 'array',
+                                            minLength: 2,
+                                            items: {
+                                                type: 'object',
+                                                properties: {
+                                                    value: { type: 'string' },
+                                                    label: { type: 'string' }
+                                                }
+                                            }
+                                        },
+                                        correct: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                performance: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            phase: { type: 'integer', min: 1 },
+                            maxMeanError: { type: 'number', min: 0 }
+                        }
+                    }
+                }
+            }
+        },
+        trialCountOptions: {
+            type: 'array',
+            minLength: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    value: { type: 'integer', min: 1 },
+                    label: { type: 'string' },
+                    default: { type: 'boolean', optional: true }
+                }
+            }
+        },
+        display: {
+            type: 'object',
+            properties: {
+                canvasWidth: { type: 'integer', min: 100 },
+                canvasHeight: { type: 'integer', min: 50 },
+                snowballInitialSize: { type: 'number', min: 1 },
+                snowballFinalSize: { type: 'number', min: 1 },
+                snowballShrinkDuration: { type: 'number', min: 0 },
+                snowballColor: { type: 'string' },
+                pointerSize: { type: 'number', min: 1 },
+                pointerColor: { type: 'string' },
+                interTrialInterval: { type: 'number', min: 0 }
+            }
+        },
+        pastDots: {
+            type: 'object',
+            properties: {
+                assignment: { type: 'string', enum: ['random', 'shown', 'hidden'] },
+                historyLength: { type: 'integer', min: 1 },
+                fading: { type: 'string', enum: ['none', 'linear', 'exponential'] },
+                maxAlpha: { type: 'number', min: 0, max: 1 },
+                minAlpha: { type: 'number', min: 0, max: 1 },
+                halfLife: { type: 'number', min: 0.01 }
+            }
+        },
+        catchTrials: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                perHundred: { type: 'number', min: 0, max: 20 },
+                minSpacing: { type: 'integer', min: 1 },
+                color: { type: 'string' },
+                instruction: { type: 'string', nullable: true },
+                tolerance: { type: 'number', min: 0 }
+            }
+        },
+        scoring: {
+            type: 'object',
+            properties: {
+                // Checked by ScoringRules.create() in validate()
+                rule: { type: 'object', replace: true },
+                bonus: {
+                    type: 'object',
+                    properties: {
+                        currency: { type: 'string' },
+                        amountPerPoint: { type: 'number', min: 0 },
+                        minAmount: { type: 'number', min: 0 },
+                        maxAmount: { type: 'number', min: 0 },
+                        includeTutorial: { type: 'boolean' }
+                    }
+                }
+            }
+        },
+        observer: {
+            type: 'object',
+            properties: {
+                gridStep: { type: 'number', min: 0.01 },
+                maxTau: { type: 'integer', min: 1, nullable: true }
+            }
+        },
+        trajectory: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' }
+            }
+        },
+        qualityControl: {
+            type: 'object',
+            properties: {
+                requestFullscreen: { type: 'boolean' },
+                idleThreshold: { type: 'number', min: 1 },
+                minRT: { type: 'number', min: 0 },
+                repeatTolerance: { type: 'number', min: 0 },
+                edgeMargin: { type: 'number', min: 0 },
+                farDistance: { type: 'number', min: 0 },
+                farHistory: { type: 'integer', min: 1 },
+                exclusion: {
+                    type: 'object',
+                    properties: {
+                        maxHiddenCount: { type: 'integer', min: 0, nullable: true },
+                        maxHiddenSeconds: { type: 'number', min: 0, nullable: true },
+                        maxFullscreenExits: { type: 'integer', min: 0, nullable: true },
+                        maxIdleCount: { type: 'integer', min: 0, nullable: true },
+                        maxTooFastProportion: { type: 'number', min: 0, max: 1, nullable: true },
+                        maxIdenticalRun: { type: 'integer', min: 1, nullable: true },
+                        maxOutOfRangeRun: { type: 'integer', min: 0, nullable: true },
+                        maxFarProportion: { type: 'number', min: 0, max: 1, nullable: true },
+                        minAttentionScore: { type: 'number', min: 0, max: 1, nullable: true }
+                    }
+                }
+            }
+        },
+        session: {
+            type: 'object',
+            properties: {
+                allowResume: { type: 'boolean' },
+                maxResumeGapMinutes: { type: 'number', min: 0, nullable: true }
+            }
+        },
+        recruitment: {
+            type: 'object',
+            properties: {
+                platform: { type: 'string', enum: ['auto', 'prolific', 'mturk', 'none'] },
+                requirePlatformID: { type: 'boolean' },
+                blockRepeatParticipation: { type: 'boolean' },
+                repeatCheckEndpoint: { type: 'string', nullable: true },
+                completionCode: { type: 'string', nullable: true },
+                screenedOutCode: { type: 'string', nullable: true },
+                completionURL: { type: 'string', nullable: true },
+                redirectDelay: { type: 'number', min: 0 }
+            }
+        },
+        submission: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                endpoint: { type: 'string' },
+                batchSize: { type: 'integer', min: 1 },
+                retryBaseDelay: { type: 'number', min: 1 },
+                maxRetryDelay: { type: 'number', min: 1 }
+            }
+        },
+        forms: {
+            type: 'object',
+            properties: {
+                consent: ExperimentConfig.FORM_SCHEMA,
+                demographics: ExperimentConfig.FORM_SCHEMA,
+                questionnaire: ExperimentConfig.FORM_SCHEMA
+            }
+        }
+    }
+};
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExperimentConfig };
+} else {
+    // Make available globally when used directly in browser
+    window.ExperimentConfig = ExperimentConfig;
+}
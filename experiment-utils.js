@@ -11,37 +11,48 @@ class ExperimentUtils {
     }
     
     /**
-     * Convert a state value (0-300) to screen coordinates
-     * @param {number} stateValue - State value (0-300)
-     * @param {number} screenWidth - Available screen width
-     * @returns {number} Screen x-coordinate
+     * Generate an ID for one session, so that repeated sessions of a participant can be told apart
+     * @returns {string} Time-based session ID with a random suffix
      */
-    static stateToScreen(stateValue, screenWidth) {
-        return (stateValue / 300) * screenWidth;
+    static generateSessionID() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8).padEnd(6, '0');
     }
     
     /**
-     * Convert a screen coordinate to state value
-     * @param {number} screenX - Screen x-coordinate
+     * Compute the SHA-256 checksum of a string, in hex (Web Crypto in the browser,
+     * the crypto module in Node). Used to check that regenerated or loaded stimulus
+     * sequences are the intended ones.
+     * @param {string} text - Input string
+     * @returns {Promise<string>} 64-character hex checksum
+     */
+    static async checksum(text) {
+        if (typeof window === 'undefined') {
+            return require('crypto').createHash('sha256').update(text, 'utf8').digest('hex');
+        }
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Convert a state value (0-stateRange) to screen coordinates
+     * @param {number} stateValue - State value (0-stateRange)
      * @param {number} screenWidth - Available screen width
-     * @returns {number} State value (0-300)
+     * @param {number} stateRange - Size of the state space (default 300)
+     * @returns {number} Screen x-coordinate
      */
-    static screenToState(screenX, screenWidth) {
-        return (screenX / screenWidth) * 300;
+    static stateToScreen(stateValue, screenWidth, stateRange = 300) {
+        return (stateValue / stateRange) * screenWidth;
     }
     
     /**
-     * Calculate points based on distance between guess and true state
-     * @param {number} clickX - User's guess (state space)
-     * @param {number} trueState - True state value
-     * @returns {number} Points awarded
+     * Convert a screen coordinate to state value
+     * @param {number} screenX - Screen x-coordinate
+     * @param {number} screenWidth - Available screen width
+     * @param {number} stateRange - Size of the state space (default 300)
+     * @returns {number} State value (0-stateRange)
      */
-    static calculatePoints(clickX, trueState) {
-        const distance = Math.abs(clickX - trueState);
-        // Simple scoring function - max 100 points for perfect guess
-        // 0 points for guesses more than 50 units away
-        const points = Math.max(0, 100 - Math.floor(distance * 2));
-        return points;
+    static screenToState(screenX, screenWidth, stateRange = 300) {
+        return (screenX / screenWidth) * stateRange;
     }
     
     /**
@@ -104,6 +115,56 @@ class ExperimentUtils {
         return csvRows.join('\n');
     }
     
+    /**
+     * Convert the pointer trajectories to long-format CSV (one row per sample)
+     * @param {Object} jsonData - The experiment data in JSON format
+     * @returns {string} - CSV formatted string
+     */
+    static trajectoriesToCSV(jsonData) {
+        if (!jsonData.trajectories || !jsonData.trajectories.length) {
+            return '';
+        }
+        
+        const csvRows = [];
+        csvRows.push(['participantID', 'trial_number', 'condition', 'block_idx', 'trial_idx', 'tutorial_phase', 'sample_idx', 't_ms', 'x'].join(','));
+        
+        for (const trajectory of jsonData.trajectories) {
+            trajectory.t.forEach((t, i) => {
+                csvRows.push([
+                    jsonData.participantID,
+                    trajectory.trial_number,
+                    trajectory.condition,
+                    trajectory.block_idx,
+                    trajectory.trial_idx,
+                    trajectory.tutorial_phase,
+                    i,
+                    t,
+                    trajectory.x[i]
+                ].join(','));
+            });
+        }
+        
+        return csvRows.join('\n');
+    }
+    
+    /**
+     * Download the pointer trajectories as CSV file
+     * @param {Object} data - Experiment data
+     * @param {string} filename - Filename without extension
+     */
+    static downloadTrajectoriesCSV(data, filename) {
+        const csvData = this.trajectoriesToCSV(data);
+        const dataBlob = new Blob([csvData], {type: 'text/csv;charset=utf-8;'});
+        const url = URL.createObjectURL(dataBlob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.setAttribute('download', `${filename}.csv`);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+    
     /**
      * Download experiment data as CSV file
      * @param {Object} data - Experiment data
@@ -123,5 +184,10 @@ class ExperimentUtils {
     }
 }
 
-// Make available globally
-window.ExperimentUtils = ExperimentUtils;
+// Export for use in Node scripts (e.g. server/dev-server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExperimentUtils };
+} else {
+    // Make available globally
+    window.ExperimentUtils = ExperimentUtils;
+}
@@ -4,22 +4,55 @@
  */
 
 class NeuroStateExperiment {
-    constructor() {
+    /**
+     * @param {Object} config - Resolved config from ExperimentConfig.load()
+     */
+    constructor(config = ExperimentConfig.resolve({})) {
+        this.config = config;
+        
+        // Participant identity from the recruitment platform, or a random ID
+        this.recruitment = new Recruitment(config.recruitment);
+        
         // Experiment parameters
-        this.participantID = ExperimentUtils.generateParticipantID();
+        this.participantID = this.recruitment.participantID || ExperimentUtils.generateParticipantID();
         this.stimulusGenerator = null; // Will be created when experiment starts based on trial count selection
-        this.condition = this.getRandomCondition(); // 'HI' or 'HD'
-        this.blockIdx = 0;
+        this.withinSubject = config.design.withinSubject; // Run both conditions (HI and HD) for every participant
+        this.conditionAssigner = new ConditionAssigner(config.assignment, config.name);
+        this.conditionOrder = []; // Set by assignConditions(), e.g. ['HI', 'HD'] or ['HD', 'HI']
+        this.conditionIdx = 0; // Position in conditionOrder
+        this.condition = null; // 'HI' or 'HD'
+        this.blockIdx = null; // Main-experiment block, counted across conditions (null in the tutorial)
         this.trialIdx = 0;
         this.totalScore = 0;
+        this.checkpointScore = 0; // Total score at the last checkpoint, the only score shown
+        this.scoringRule = ScoringRules.create(config.scoring.rule);
+        this.trialsPerBlock = config.blocks.trialsPerBlock;
+        this.onBreak = false; // True while a rest screen between blocks is shown
         this.currentTrial = null;
         this.sequences = null;
+        this.completedCatchTrials = { HI: new Set(), HD: new Set() }; // catch_idx of the catch trials done, per condition
+        this.tutorialRepeats = {}; // Sequences of repeated tutorial phases, generated on first use (see getTutorialRepeat())
+        this.sequenceFile = null; // Pre-generated sequence file (config sequenceFile.name), loaded by loadSequenceFile()
+        this.tutorialPhases = config.tutorial.phases; // Declarative phase definitions
         this.tutorialPhase = 0;
+        this.tutorialAttempt = 1; // Attempt at the current tutorial phase (phases are repeated until passed)
         this.isTutorial = true;
-        this.showPastDotsFlag = false;
-        this.pastDots = [];
-        this.trialCount = 5; // Default trial count
+        this.pastDotsShown = null; // Between-subjects: past observations shown in the main experiment (set by assignConditions())
+        this.sequenceVariant = null; // Index into assignment.sequenceVariants (null: stimulus.seed)
+        this.showPastDotsFlag = false; // Whether past observations are shown on the current trial
+        this.trialCount = this.getDefaultTrialCount();
         this.showTrueState = false; // Whether to show the true state position
+        this.highlightChangePoints = false; // Whether to mark trials on which the state changed
+        this.trialFeedback = 'none'; // Feedback after each click: 'none', 'points' or 'error'
+        this.snowballSize = config.display.snowballInitialSize; // Current radius of the shrinking snowball
+        this.trialTiming = null; // Onset, movement and animation timestamps of the current trial
+        this.started = false; // Set by startExperiment(), which must only run once
+        this.awaitingResponse = false; // True from stimulus onset until the click
+        this.animationFrame = null;
+        this.recordTrajectories = config.trajectory.enabled; // Sample the pointer path on every frame
+        this.trajectory = null; // Pointer samples of the current trial
+        this.qualityMonitor = new QualityMonitor(config.qualityControl,
+            event => this.logQCEvent(event), () => this.awaitingResponse);
         
         // Canvas properties
         this.canvas = document.getElementById('experiment-canvas');
@@ -29,32 +62,58 @@ class NeuroStateExperiment {
             console.warn("Canvas element not found during initialization");
             this.ctx = null;
         }
-        this.canvasWidth = 800;
-        this.canvasHeight = 200;
+        const display = config.display;
+        this.canvasWidth = display.canvasWidth;
+        this.canvasHeight = display.canvasHeight;
         this.lineY = this.canvasHeight / 2;
         
         // Snowball properties
-        this.snowballInitialSize = 20;
-        this.snowballFinalSize = 8;
-        this.snowballShrinkDuration = 400; // ms
-        this.snowballColor = 'white';
+        this.snowballInitialSize = display.snowballInitialSize;
+        this.snowballFinalSize = display.snowballFinalSize;
+        this.snowballShrinkDuration = display.snowballShrinkDuration; // ms
+        this.snowballColor = display.snowballColor;
         
         // Pointer properties
-        this.pointerSize = 10;
-        this.pointerColor = 'green';
+        this.pointerSize = display.pointerSize;
+        this.pointerColor = display.pointerColor;
         this.pointerY = this.lineY;
         this.pointerX = this.canvasWidth / 2;
         
         // Timing properties
-        this.interTrialInterval = 100; // ms
+        this.interTrialInterval = display.interTrialInterval; // ms
         
         // Data logging
         this.experimentData = {
             participantID: this.participantID,
-            condition: this.condition,
-            trials: []
+            sessionID: null, // Set when the session starts; tells repeated sessions of a participant apart
+            config: config,
+            pastDotsShown: this.pastDotsShown,
+            assignment: null, // { cell, method, source, assignedAt } from assignConditions()
+            sequenceFile: null, // { name, version, createdAt, checksum } when the sequences come from a file
+            sequenceSearch: null, // { baseSeed, seed, candidates, statistics } with constrained generation
+            recruitment: this.recruitment.getMetadata(),
+            screenedOut: null, // { reason, trialsCompleted, time } if the session was ended early
+            forms: {}, // Consent, demographics and questionnaire answers, keyed by form name
+            comprehension: [], // One entry per comprehension check attempt
+            tutorialAttempts: [], // One entry per attempt at a performance-gated tutorial phase
+            condition: null,
+            withinSubject: this.withinSubject,
+            conditionOrder: this.conditionOrder,
+            resumeEvents: [],
+            breaks: [],
+            qcEvents: [], // Tab switches, focus losses, fullscreen changes and idle periods (see quality-control.js)
+            qcSummary: null, // Per-participant QC measures and exclusion flags, computed at the end
+            timeOrigin: performance.timeOrigin, // Epoch time (ms) of performance.now() = 0
+            trials: [],
+            trajectories: [] // Pointer paths, one entry per trial (when trajectory recording is enabled)
         };
         
+        // Session snapshot for resuming after a reload or crash
+        this.sessionStore = new SessionStore();
+        
+        // Stream trials to the backend while the session runs
+        this.dataSubmitter = config.submission.enabled ? new DataSubmitter(config.submission) : null;
+        
         // Bind event handlers
         this.handleMouseMove = this.handleMouseMove.bind(this);
         this.handleClick = this.handleClick.bind(this);
@@ -65,18 +124,102 @@ class NeuroStateExperiment {
         this.instructionsDisplay = document.getElementById('instructions');
         this.scoreDisplay = document.getElementById('score-display');
         this.tutorialInfo = document.getElementById('tutorial-info');
-        this.startButton = document.getElementById('start-button');
+        this.startButton = null; // Created with the instructions by showInstructions()
         this.progressBar = document.getElementById('progress-bar');
         this.progressContainer = document.querySelector('.progress-container');
         this.completionScreen = document.getElementById('completion-screen');
+        this.blockBreak = document.getElementById('block-break');
+        this.conditionTransition = document.getElementById('condition-transition');
+        this.formScreen = document.getElementById('form-screen');
         // We'll set up download buttons at the end of the experiment
         
         // Initialize
         this.initEventListeners();
         this.setupCanvas();
+        this.showStartScreen();
+    }
+    
+    /**
+     * Show the first screen: the resume prompt for an interrupted session, a notice
+     * for MTurk previews and repeat participants, or the instructions
+     */
+    async showStartScreen() {
+        const savedSession = this.getResumableSession();
+        if (savedSession) {
+            this.showResumePrompt(savedSession);
+            return;
+        }
+        
+        if (this.recruitment.isPreview()) {
+            this.showNotice('Preview', 'Please accept the HIT to take part in this study.');
+            return;
+        }
+        
+        if (await this.recruitment.hasParticipated()) {
+            this.showNotice('Already Taken Part',
+                'Our records show that you have already taken part in this study, and it can only be done once. ' +
+                'Please return your submission on the recruitment platform.');
+            return;
+        }
+        
+        this.showPreTaskForms();
+    }
+    
+    /**
+     * Show the consent page and the demographics form, then the instructions
+     */
+    async showPreTaskForms() {
+        const consent = await this.showForm('consent');
+        if (consent === null) {
+            this.showNotice('Consent Not Given',
+                'You have chosen not to take part in this study. No data has been recorded. ' +
+                (this.recruitment.platform !== 'none' ? 'Please return your submission on the recruitment platform.' :
+                    'You can close this page.'));
+            return;
+        }
+        
+        await this.showForm('demographics');
         this.showInstructions();
     }
     
+    /**
+     * Show one of the configured forms and store the answers in the experiment data
+     * @param {string} name - 'consent', 'demographics' or 'questionnaire'
+     * @returns {Promise<Object|null|undefined>} Answers, null if declined, undefined if the form is disabled
+     */
+    async showForm(name) {
+        const definition = this.config.forms[name];
+        if (!definition.enabled) {
+            return undefined;
+        }
+        
+        this.instructionsDisplay.style.display = 'none';
+        const startedAt = new Date().toISOString();
+        const answers = await new FormScreen(definition, this.formScreen).show({ conditionOrder: this.conditionOrder });
+        
+        if (answers !== null) {
+            this.experimentData.forms[name] = {
+                answers: answers,
+                startedAt: startedAt,
+                completedAt: new Date().toISOString()
+            };
+        }
+        return answers;
+    }
+    
+    /**
+     * Replace the instructions with a message that cannot be dismissed
+     * @param {string} title - Heading
+     * @param {string} message - Message text
+     */
+    showNotice(title, message) {
+        this.instructionsDisplay.style.display = 'block';
+        this.instructionsDisplay.innerHTML = `
+            <h2>${title}</h2>
+            <p>${message}</p>
+        `;
+    }
+    
     /**
      * Initialize event listeners
      */
@@ -92,14 +235,6 @@ class NeuroStateExperiment {
         // We'll set up the start button in showInstructions instead
         
         // We'll set up download buttons at the end of the experiment
-        
-        // Add a direct start button with explicit event handler
-        const directStartBtn = document.createElement('button');
-        directStartBtn.textContent = 'Begin Experiment';
-        directStartBtn.className = 'prominent-button';
-        directStartBtn.style.marginTop = '20px';
-        directStartBtn.addEventListener('click', () => this.startExperiment());
-        this.instructionsDisplay.appendChild(directStartBtn);
     }
     
     /**
@@ -124,29 +259,21 @@ class NeuroStateExperiment {
             <p>The dot represents a noisy observation of a hidden state, which you need to estimate.</p>
             <p>Use your mouse to move along the line and click to indicate your estimate.</p>
             <p>The closer your estimate is to the true position, the more points you'll earn.</p>
+            ${this.config.stimulus.boundary === 'circular' ? '<p>The line wraps around: its left and right ends are the same place, so the dot can leave on one side and come back on the other.</p>' : ''}
+            ${this.config.catchTrials.enabled ? `<p>Now and then the dot is ${this.config.catchTrials.color}: then click exactly on that dot.</p>` : ''}
             <p>You'll first complete a tutorial before starting the main experiment.</p>
             
+            ${this.config.sequenceFile.name ? '' : `
             <div class="experiment-options">
                 <h3>Experiment Options:</h3>
+                ${this.config.trialCountOptions.map(option => `
                 <div class="option-group">
                     <label>
-                        <input type="radio" name="trial-count" value="1000" checked> 
-                        Full Experiment (1000 trials)
+                        <input type="radio" name="trial-count" value="${option.value}"${option.value === this.trialCount ? ' checked' : ''}> 
+                        ${option.label}
                     </label>
-                </div>
-                <div class="option-group">
-                    <label>
-                        <input type="radio" name="trial-count" value="500"> 
-                        Medium Version (500 trials)
-                    </label>
-                </div>
-                <div class="option-group">
-                    <label>
-                        <input type="radio" name="trial-count" value="200"> 
-                        Short Version (200 trials)
-                    </label>
-                </div>
-            </div>
+                </div>`).join('')}
+            </div>`}
             
             <button id="start-button-inline" class="prominent-button">Start Experiment Now</button>
         `;
@@ -168,33 +295,108 @@ class NeuroStateExperiment {
      * Show tutorial information for the current phase
      */
     showTutorialInfo() {
-        const phaseInfo = {
-            1: "Tutorial Phase 1: Practice making estimates by clicking on the line. Try to place your estimate close to the white dot.",
-            2: "Tutorial Phase 2: The white dot is a noisy observation of a hidden state. The true state is shown as a red dot. Try to estimate the hidden state.",
-            3: "Tutorial Phase 3: The hidden state may change over time (red dot). The changes follow specific patterns.",
-            4: "Tutorial Phase 4: Sometimes the hidden state (red dot) doesn't change. Use past observations to improve your estimate.",
-            5: "Tutorial Phase 5: Final practice with the true state (red dot) visible. In the main experiment, you won't see the true state."
-        };
-        
-        this.tutorialInfo.textContent = phaseInfo[this.tutorialPhase] || "";
+        const phase = this.getTutorialPhaseDefinition();
+        this.tutorialInfo.textContent = `Tutorial Phase ${this.tutorialPhase}: ${phase.text}`;
         this.tutorialInfo.style.display = "block";
     }
     
     /**
-     * Get a random condition (HI or HD)
-     * @returns {string} 'HI' or 'HD'
+     * In the main experiment, tell participants in the past-dots group that the
+     * recent observations stay on the line; otherwise hide the tutorial info
+     */
+    showMainInfo() {
+        if (this.pastDotsShown) {
+            this.tutorialInfo.textContent = 'Main experiment: the most recent observations now stay on the line as faded dots.';
+            this.tutorialInfo.style.display = 'block';
+        } else {
+            this.tutorialInfo.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Definition of the current tutorial phase
+     * @returns {Object|null} Phase from tutorial.phases, or null in the main experiment
+     */
+    getTutorialPhaseDefinition() {
+        return this.isTutorial ? this.tutorialPhases[this.tutorialPhase - 1] : null;
+    }
+    
+    /**
+     * Apply the display settings of the current tutorial phase. The main
+     * experiment shows none of the tutorial aids.
      */
-    getRandomCondition() {
-        return Math.random() < 0.5 ? 'HI' : 'HD';
+    applyPhaseSettings() {
+        const phase = this.getTutorialPhaseDefinition();
+        this.showTrueState = phase ? phase.showTrueState : false;
+        this.highlightChangePoints = phase ? phase.highlightChangePoints : false;
+        this.showPastDotsFlag = phase ? phase.showPastDots : this.pastDotsShown;
+        this.trialFeedback = phase ? phase.feedback : 'none';
+    }
+    
+    /**
+     * Get the trial count that is preselected in the instructions
+     * @returns {number} Main trials per condition
+     */
+    getDefaultTrialCount() {
+        const options = this.config.trialCountOptions;
+        const defaultOption = options.find(option => option.default) || options[0];
+        return defaultOption.value;
+    }
+    
+    /**
+     * Assign the participant to a condition order, past-dots group and sequence variant
+     */
+    async assignConditions() {
+        const result = await this.conditionAssigner.assign(this.participantID, ConditionAssigner.designFactors(this.config));
+        const cell = result.cell;
+        
+        this.conditionOrder = cell.conditionOrder.split('-');
+        this.conditionIdx = 0;
+        this.condition = this.conditionOrder[0];
+        this.pastDotsShown = cell.pastDotsShown ?? this.config.pastDots.assignment === 'shown';
+        this.sequenceVariant = cell.sequenceVariant ?? (this.config.assignment.sequenceVariants.length ? 0 : null);
+        
+        Object.assign(this.experimentData, {
+            condition: this.conditionOrder.join('-'),
+            conditionOrder: this.conditionOrder,
+            pastDotsShown: this.pastDotsShown,
+            assignment: {
+                cell: cell,
+                method: this.config.assignment.method,
+                source: result.source, // 'server', 'local' or 'fallback' (service unreachable)
+                error: result.error || null,
+                sequenceVariant: this.sequenceVariant,
+                seed: this.getSequenceSeed(),
+                assignedAt: new Date().toISOString()
+            }
+        });
+        console.log(`Assigned to ${ConditionAssigner.cellKey(cell)} (${result.source})`);
+    }
+    
+    /**
+     * Seed of the participant's stimulus sequences
+     * @returns {number} Seed of the assigned sequence variant, or stimulus.seed
+     */
+    getSequenceSeed() {
+        return this.sequenceVariant === null ?
+            this.config.stimulus.seed : this.config.assignment.sequenceVariants[this.sequenceVariant];
     }
     
     /**
      * Start the experiment
      */
-    startExperiment() {
+    async startExperiment() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+        
+        // Fullscreen can only be requested while handling the click
+        this.qualityMonitor.requestFullscreen();
+        
         // Get selected trial count
         const trialCountElements = document.getElementsByName('trial-count');
-        let selectedTrialCount = 5; // Default
+        let selectedTrialCount = this.getDefaultTrialCount();
         
         for (const element of trialCountElements) {
             if (element.checked) {
@@ -203,12 +405,211 @@ class NeuroStateExperiment {
             }
         }
         
-        // Create a new stimulus generator with the selected trial count
-        this.stimulusGenerator = new StimulusGenerator(selectedTrialCount);
+        // Only participants who really start are assigned, so abandoned visits do not count.
+        // Replacing the instructions also removes the start button.
+        this.showNotice('Please Wait', 'Preparing the study...');
+        await this.assignConditions();
+        
+        // A sequence file fixes the trial count
+        try {
+            if (this.config.sequenceFile.name) {
+                await this.loadSequenceFile(this.config.sequenceFile.name);
+                selectedTrialCount = this.sequenceFile.parameters.mainTrials;
+            }
+            await this.prepareSequences(selectedTrialCount);
+        } catch (error) {
+            console.error('Could not prepare the stimulus sequences:', error);
+            this.showNotice('Study Unavailable',
+                `The stimuli for this study could not be loaded (${error.message}). Please contact the researchers.`);
+            return;
+        }
+        
         console.log(`Starting experiment with ${selectedTrialCount} trials per condition`);
+        console.log(`Condition order: ${this.conditionOrder.join(' -> ')}`);
+        this.experimentData.sessionID = ExperimentUtils.generateSessionID();
+        if (this.dataSubmitter) {
+            this.dataSubmitter.start(this.participantID, this.experimentData.sessionID);
+        }
+        this.recruitment.markParticipating();
+        this.qualityMonitor.start();
+        
+        // Check that the instructions were understood
+        this.instructionsDisplay.style.display = 'none';
+        if (!(await this.runComprehensionCheck(0))) {
+            return;
+        }
+        
+        // Show experiment display
+        this.experimentDisplay.style.display = 'block';
+        this.progressContainer.style.display = 'block';
+        
+        // Start tutorial
+        this.startTutorial();
+    }
+    
+    /**
+     * Run the comprehension check that follows the instructions or a tutorial phase.
+     * The check is repeated until all answers are correct, up to tutorial.maxAttempts.
+     * @param {number} after - 0 for the instructions, otherwise the tutorial phase
+     * @returns {Promise<boolean>} False if the participant was screened out
+     */
+    async runComprehensionCheck(after) {
+        const check = this.config.tutorial.comprehension.find(candidate => candidate.after === after);
+        if (!check) {
+            return true;
+        }
+        
+        const maxAttempts = this.config.tutorial.maxAttempts;
+        const questions = check.questions.map(question => ({
+            id: question.id,
+            type: 'radio',
+            label: question.label,
+            options: question.options,
+            required: true
+        }));
+        
+        // Attempts made before a reload count towards the cap
+        let attempt = this.experimentData.comprehension
+            .filter(entry => entry.check === check.id && entry.condition === this.condition).length;
+        
+        const wasShowing = this.experimentDisplay.style.display;
+        this.experimentDisplay.style.display = 'none';
+        this.progressContainer.style.display = 'none';
+        
+        for (;;) {
+            attempt++;
+            const retryText = attempt > 1 ?
+                `<p class="form-retry">Some of your answers were not correct. ${check.review} Please try again.</p>` : '';
+            const answers = await new FormScreen({
+                title: 'Check Your Understanding',
+                text: `${retryText}<p>Please answer the following questions before you continue.</p>`,
+                submitLabel: 'Check Answers',
+                declineLabel: null,
+                questions: questions
+            }, this.formScreen).show({ conditionOrder: this.conditionOrder });
+            
+            const incorrect = check.questions
+                .filter(question => answers[question.id] !== question.correct)
+                .map(question => question.id);
+            this.experimentData.comprehension.push({
+                check: check.id,
+                condition: this.condition,
+                attempt: attempt,
+                answers: answers,
+                incorrect: incorrect,
+                passed: incorrect.length === 0,
+                time: new Date().toISOString()
+            });
+            
+            if (incorrect.length === 0) {
+                break;
+            }
+            if (attempt >= maxAttempts) {
+                this.screenOut(`Failed comprehension check "${check.id}" ${attempt} times`);
+                return false;
+            }
+        }
+        
+        this.experimentDisplay.style.display = wasShowing;
+        this.progressContainer.style.display = wasShowing;
+        return true;
+    }
+    
+    /**
+     * Fetch a pre-generated sequence file (see tools/generate-sequences.js).
+     * Its sequences are checked against the config in prepareSequences().
+     * @param {string} name - File name in StimulusGenerator.SEQUENCE_DIR, without ".json"
+     */
+    async loadSequenceFile(name) {
+        const url = `${StimulusGenerator.SEQUENCE_DIR}/${name}.json`;
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-store' });
+        } catch (error) {
+            throw new Error(`Could not load sequence file "${name}" from ${url}: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Could not load sequence file "${name}" from ${url}: HTTP ${response.status}`);
+        }
+        
+        let file;
+        try {
+            file = await response.json();
+        } catch (error) {
+            throw new Error(`Sequence file "${name}" is not valid JSON: ${error.message}`);
+        }
+        
+        const expectedChecksum = this.config.sequenceFile.checksum;
+        if (expectedChecksum !== null && file.checksum !== expectedChecksum) {
+            throw new Error(`Sequence file "${name}" has checksum ${file.checksum}, but the config expects ${expectedChecksum}`);
+        }
+        this.sequenceFile = file;
+    }
+    
+    /**
+     * Generate the stimulus sequences for the selected trial count, or take them
+     * from the loaded sequence file. With sequenceConstraints enabled, candidate
+     * seeds are tried until the sequences meet the constraints, unless the seed
+     * found by an earlier search of this session is given.
+     * @param {number} trialCount - Main trials per condition
+     * @param {Object} recordedSearch - sequenceSearch of the interrupted session, when resuming
+     * @returns {Promise<void>} Resolves once the sequences are ready
+     */
+    async prepareSequences(trialCount, recordedSearch = null) {
+        const file = this.sequenceFile;
+        const createGenerator = seed => StimulusGenerator.fromConfig(this.config, trialCount, seed);
+        
+        // Create a new stimulus generator with the selected trial count
+        this.trialCount = trialCount;
+        let search = null;
+        if (file) {
+            // readSequenceFile() checks that the file matches the generator
+            this.stimulusGenerator = createGenerator(file.parameters.seed);
+            this.sequences = await this.stimulusGenerator.readSequenceFile(file);
+            search = file.search ?? null;
+        } else if (this.config.sequenceConstraints.enabled && recordedSearch?.baseSeed === this.getSequenceSeed()) {
+            // Resuming: the sequences are checked against the saved checksum instead
+            this.stimulusGenerator = createGenerator(recordedSearch.seed);
+            this.sequences = this.stimulusGenerator.generateAllSequences();
+            search = recordedSearch;
+        } else if (this.config.sequenceConstraints.enabled) {
+            const result = await new SequenceConstraints(this.config.sequenceConstraints, this.config.observer)
+                .searchAsync(createGenerator, this.getSequenceSeed(), (candidate, maxCandidates) => {
+                    this.showNotice('Preparing the Study',
+                        `Generating your stimuli (candidate ${candidate + 1} of at most ${maxCandidates})...`);
+                });
+            this.stimulusGenerator = result.generator;
+            this.sequences = result.sequences;
+            search = result.search;
+            console.log(`Constrained generation: seed ${search.seed} after ${search.candidates} candidates`);
+        } else {
+            this.stimulusGenerator = createGenerator(this.getSequenceSeed());
+            this.sequences = this.stimulusGenerator.generateAllSequences();
+        }
+        this.sequenceChecksum = await ExperimentUtils.checksum(JSON.stringify(this.sequences));
+        this.tutorialRepeats = {};
+        
+        this.experimentData.trialCount = trialCount;
+        this.experimentData.rngSeed = this.stimulusGenerator.rngSeed;
+        this.experimentData.rngAlgorithm = SeededRandom.ALGORITHM;
+        // Stream name -> derived seed
+        this.experimentData.rngStreams = file ? file.rngStreams : this.stimulusGenerator.streamSeeds;
+        this.experimentData.sequenceChecksum = this.sequenceChecksum;
+        this.experimentData.sequenceSearch = search;
+        this.experimentData.sequenceFile = file ? {
+            name: this.config.sequenceFile.name,
+            version: file.version,
+            createdAt: file.createdAt,
+            checksum: file.checksum
+        } : null;
+        this.experimentData.sequenceMetadata = {
+            HI: this.sequences.HI.metadata,
+            HD: this.sequences.HD.metadata
+        };
         
-        // Generate sequences for the experiment
-        this.sequences = this.stimulusGenerator.generateAllSequences();
+        // Compute the ideal observer's estimates for every trial
+        this.observer = new BayesianObserver(this.stimulusGenerator, this.config.observer);
+        this.observer.annotateAllSequences(this.sequences);
         
         // Log state space coverage analysis
         const coverageAnalysis = this.stimulusGenerator.analyzeStateCoverage(this.sequences);
@@ -222,14 +623,204 @@ class NeuroStateExperiment {
             console.log(`  State Mean: ${analysis.stateRange.mean.toFixed(1)}`);
             console.log(`  Quartile Distribution: Q1=${analysis.quartileDistribution.percentages.q1}%, Q2=${analysis.quartileDistribution.percentages.q2}%, Q3=${analysis.quartileDistribution.percentages.q3}%, Q4=${analysis.quartileDistribution.percentages.q4}%`);
         }
+    }
+    
+    /**
+     * Get the saved session, if it can be resumed with the current config
+     * @returns {Object|null} Saved session state
+     */
+    getResumableSession() {
+        if (!this.config.session.allowResume) {
+            return null;
+        }
+        
+        const saved = this.sessionStore.load();
+        if (!saved) {
+            return null;
+        }
+        
+        if (this.recruitment.participantID && saved.participantID !== this.recruitment.participantID) {
+            console.warn(`Saved session belongs to participant ${saved.participantID}; not offering to resume`);
+            return null;
+        }
+        
+        if (saved.configName !== this.config.name) {
+            console.warn(`Saved session uses config "${saved.configName}", not "${this.config.name}"; not offering to resume`);
+            return null;
+        }
+        
+        const gapMinutes = (Date.now() - new Date(saved.savedAt).getTime()) / 60000;
+        const maxGap = this.config.session.maxResumeGapMinutes;
+        if (maxGap !== null && gapMinutes > maxGap) {
+            console.warn(`Saved session is ${gapMinutes.toFixed(0)} minutes old; discarding it`);
+            this.sessionStore.clear();
+            return null;
+        }
+        
+        return saved;
+    }
+    
+    /**
+     * Ask whether to resume an interrupted session
+     * @param {Object} saved - Saved session state
+     */
+    showResumePrompt(saved) {
+        const trialsDone = saved.experimentData.trials.length;
+        const part = saved.conditionIdx + 1;
+        const stage = saved.isTutorial ? `tutorial phase ${saved.tutorialPhase}` : 'main trials';
         
-        // Hide instructions, show experiment display
+        this.instructionsDisplay.innerHTML = `
+            <h2>Resume Your Session?</h2>
+            <p>It looks like your previous session was interrupted
+               (last saved ${new Date(saved.savedAt).toLocaleString()}).</p>
+            <p>You had completed ${trialsDone} trials and were in part ${part} of ${saved.conditionOrder.length} (${stage}).</p>
+            <button id="resume-session-button" class="prominent-button">Resume Where I Left Off</button>
+            <button id="discard-session-button">Start Over</button>
+        `;
+        
+        document.getElementById('resume-session-button')
+            .addEventListener('click', () => this.resumeSession(saved));
+        document.getElementById('discard-session-button')
+            .addEventListener('click', () => {
+                this.sessionStore.clear();
+                this.showPreTaskForms();
+            });
+    }
+    
+    /**
+     * Snapshot of everything needed to continue the session
+     * @returns {Object} Serializable session state
+     */
+    getSessionState() {
+        return {
+            configName: this.config.name,
+            participantID: this.participantID,
+            conditionOrder: this.conditionOrder,
+            pastDotsShown: this.pastDotsShown,
+            sequenceVariant: this.sequenceVariant,
+            conditionIdx: this.conditionIdx,
+            condition: this.condition,
+            blockIdx: this.blockIdx,
+            onBreak: this.onBreak,
+            isTutorial: this.isTutorial,
+            tutorialPhase: this.tutorialPhase,
+            tutorialAttempt: this.tutorialAttempt,
+            trialIdx: this.trialIdx, // Next trial to run in the current block
+            totalScore: this.totalScore,
+            checkpointScore: this.checkpointScore,
+            trialCount: this.trialCount,
+            rngSeed: this.stimulusGenerator.rngSeed,
+            sequenceChecksum: this.sequenceChecksum,
+            // Trajectories would soon fill the storage quota, so they are not kept across a reload
+            experimentData: Object.assign({}, this.experimentData, { trajectories: [] })
+        };
+    }
+    
+    /**
+     * Save the session snapshot
+     */
+    saveSession() {
+        if (this.config.session.allowResume) {
+            this.sessionStore.save(this.getSessionState());
+        }
+    }
+    
+    /**
+     * Continue an interrupted session from its snapshot
+     * @param {Object} saved - Saved session state
+     */
+    async resumeSession(saved) {
+        const resumedAt = new Date();
+        
+        if (this.config.sequenceFile.name) {
+            try {
+                await this.loadSequenceFile(this.config.sequenceFile.name);
+            } catch (error) {
+                console.error('Could not reload the stimulus sequences:', error);
+                this.showNotice('Study Unavailable',
+                    `The stimuli for this study could not be loaded (${error.message}). Please contact the researchers.`);
+                return;
+            }
+        }
+        
+        this.participantID = saved.participantID;
+        this.conditionOrder = saved.conditionOrder;
+        this.pastDotsShown = saved.pastDotsShown;
+        this.sequenceVariant = saved.sequenceVariant ?? null;
+        this.conditionIdx = saved.conditionIdx;
+        this.condition = saved.condition;
+        this.blockIdx = saved.blockIdx;
+        this.isTutorial = saved.isTutorial;
+        this.tutorialPhase = saved.tutorialPhase;
+        this.tutorialAttempt = saved.tutorialAttempt;
+        this.applyPhaseSettings();
+        this.totalScore = saved.totalScore;
+        this.checkpointScore = saved.checkpointScore;
+        this.experimentData = saved.experimentData;
+        for (const trial of this.experimentData.trials) {
+            if (trial.catch_trial_flag) {
+                this.completedCatchTrials[trial.condition].add(trial.catch_idx);
+            }
+        }
+        
+        // Resuming is a click, so fullscreen can be requested again
+        this.qualityMonitor.requestFullscreen();
+        
+        // Regenerate (or reload) the same sequences and check that they really are the same
+        try {
+            await this.prepareSequences(saved.trialCount, saved.experimentData.sequenceSearch);
+        } catch (error) {
+            console.error('Could not prepare the stimulus sequences:', error);
+            this.showNotice('Study Unavailable',
+                `The stimuli for this study could not be loaded (${error.message}). Please contact the researchers.`);
+            return;
+        }
+        if (this.sequenceChecksum !== saved.sequenceChecksum) {
+            // The generator or the sequence file changed during the session: the remaining trials would not continue the same sequences
+            console.error(`Sequences differ from the interrupted session (${this.sequenceChecksum} vs ${saved.sequenceChecksum})`);
+            this.sessionStore.clear();
+            this.showNotice('Session Cannot Be Resumed',
+                'The stimuli of this study have changed since your session started, so it cannot be continued. ' +
+                'Please contact the researchers.');
+            return;
+        }
+        this.qualityMonitor.start();
+        
+        const resumeEvent = {
+            resumedAt: resumedAt.toISOString(),
+            interruptedAt: saved.savedAt,
+            gapMs: resumedAt.getTime() - new Date(saved.savedAt).getTime(),
+            condition: this.condition,
+            isTutorial: this.isTutorial,
+            tutorialPhase: this.tutorialPhase,
+            trialIdx: saved.trialIdx,
+            trialsCompleted: this.experimentData.trials.length
+        };
+        this.experimentData.resumeEvents.push(resumeEvent);
+        console.log('Resuming session:', resumeEvent);
+        
+        if (this.dataSubmitter) {
+            this.dataSubmitter.resume(this.participantID, this.experimentData.sessionID, this.experimentData.trials.length);
+        }
+        
+        this.scoreDisplay.textContent = `Score: ${ScoringRules.formatScore(this.checkpointScore)}`;
         this.instructionsDisplay.style.display = 'none';
         this.experimentDisplay.style.display = 'block';
         this.progressContainer.style.display = 'block';
+        if (this.isTutorial) {
+            this.showTutorialInfo();
+        } else {
+            this.showMainInfo();
+        }
         
-        // Start tutorial
-        this.startTutorial();
+        if (saved.onBreak) {
+            // Interrupted during a rest screen: show it again
+            this.currentTrials = this.getSequence();
+            this.trialIdx = saved.trialIdx;
+            this.showBlockBreak();
+        } else {
+            this.startBlock(saved.trialIdx);
+        }
     }
     
     /**
@@ -238,10 +829,9 @@ class NeuroStateExperiment {
     startTutorial() {
         this.isTutorial = true;
         this.tutorialPhase = 1;
+        this.tutorialAttempt = 1;
         
-        // Show the true state in tutorial phases 2-5, but not in phase 1
-        this.showTrueState = false; // Start with false for phase 1
-        
+        this.applyPhaseSettings();
         this.showTutorialInfo();
         this.startBlock();
     }
@@ -252,29 +842,83 @@ class NeuroStateExperiment {
     startMainExperiment() {
         this.isTutorial = false;
         this.tutorialPhase = null;
-        this.tutorialInfo.style.display = 'none';
-        this.blockIdx = 0;
-        
-        // Hide true state in main experiment
-        this.showTrueState = false;
+        this.showMainInfo();
         
+        this.applyPhaseSettings();
         this.startBlock();
     }
     
     /**
      * Start a block of trials
+     * @param {number} startTrialIdx - Trial to start from (non-zero when resuming)
+     */
+    startBlock(startTrialIdx = 0) {
+        this.currentTrials = this.getSequence();
+        this.trialIdx = startTrialIdx;
+        this.startTrial();
+    }
+    
+    /**
+     * Get the sequence being run: the current tutorial phase or the main sequence
+     * @returns {Array} Array of trial objects
      */
-    startBlock() {
+    getSequence() {
+        if (this.isTutorial && this.tutorialAttempt > 1) {
+            return this.getTutorialRepeat();
+        }
         if (this.isTutorial) {
             const tutorialSequences = this.sequences[this.condition].tutorials;
-            const currentPhaseSequence = tutorialSequences[this.tutorialPhase - 1];
-            this.currentTrials = currentPhaseSequence;
-        } else {
-            this.currentTrials = this.sequences[this.condition].main;
+            return tutorialSequences[this.tutorialPhase - 1];
         }
-        
-        this.trialIdx = 0;
-        this.startTrial();
+        return this.sequences[this.condition].main;
+    }
+    
+    /**
+     * Sequence of a repeated tutorial phase. Each attempt has its own streams
+     * (<condition>/tutorial-<phase>/attempt-<n>), so the participant does not see
+     * the same observations again; its stream seeds are added to rngStreams.
+     * @returns {Array} Array of trial objects, annotated by the ideal observer
+     */
+    getTutorialRepeat() {
+        const key = `${this.condition}/tutorial-${this.tutorialPhase}/attempt-${this.tutorialAttempt}`;
+        if (!this.tutorialRepeats[key]) {
+            const trials = this.stimulusGenerator.generateTutorialAttempt(this.condition, this.tutorialPhase,
+                this.tutorialAttempt);
+            this.observer.annotateSequence(trials);
+            this.tutorialRepeats[key] = trials;
+            Object.assign(this.experimentData.rngStreams, this.stimulusGenerator.streamSeeds);
+        }
+        return this.tutorialRepeats[key];
+    }
+    
+    /**
+     * Number of rest blocks the main sequence of one condition is split into
+     * @returns {number} Blocks per condition
+     */
+    getBlocksPerCondition() {
+        return Math.ceil(this.sequences[this.condition].main.length / this.trialsPerBlock);
+    }
+    
+    /**
+     * Index of the main-experiment block of the current trial, counted across conditions
+     * @returns {number|null} Block index, or null in the tutorial
+     */
+    getBlockIdx() {
+        if (this.isTutorial) {
+            return null;
+        }
+        return this.conditionIdx * this.getBlocksPerCondition() + Math.floor(this.trialIdx / this.trialsPerBlock);
+    }
+    
+    /**
+     * Whether the trial at trialIdx is the last one of a main-experiment block
+     * @returns {boolean} True at a score checkpoint
+     */
+    isBlockEnd() {
+        if (this.isTutorial) {
+            return false;
+        }
+        return (this.trialIdx + 1) % this.trialsPerBlock === 0 || this.trialIdx === this.currentTrials.length - 1;
     }
     
     /**
@@ -286,22 +930,126 @@ class NeuroStateExperiment {
             return;
         }
         
-        this.currentTrial = this.currentTrials[this.trialIdx];
+        // A catch trial scheduled before this main trial is shown first
+        this.currentTrial = this.getPendingCatchTrial() || this.currentTrials[this.trialIdx];
+        this.blockIdx = this.getBlockIdx();
         this.animateSnowball();
         
-        // Update progress bar
-        const progress = (this.trialIdx / this.currentTrials.length) * 100;
-        this.progressBar.style.width = `${progress}%`;
+        // Update progress bar
+        const progress = (this.trialIdx / this.currentTrials.length) * 100;
+        this.progressBar.style.width = `${progress}%`;
+    }
+    
+    /**
+     * The catch trial scheduled before the current main trial, unless it has already been done
+     * @returns {Object|null} Catch trial, or null
+     */
+    getPendingCatchTrial() {
+        if (this.isTutorial) {
+            return null;
+        }
+        
+        const scheduled = this.sequences[this.condition].catchTrials
+            .find(catchTrial => catchTrial.before === this.trialIdx);
+        if (!scheduled || this.completedCatchTrials[this.condition].has(scheduled.catch_idx)) {
+            return null;
+        }
+        
+        // Catch trials are not part of the hidden-state process, so the observer has nothing to say
+        return Object.assign({ observer_mean: null, observer_map: null, observer_sd: null, observer_cp_prob: null }, scheduled);
+    }
+    
+    /**
+     * Animate the snowball (white dot)
+     */
+    animateSnowball() {
+        // Timestamps use the performance.now() clock. The onset is the time of the
+        // first animation frame that draws the snowball.
+        const timing = {
+            trialStart: performance.now(),
+            onset: null,
+            firstMove: null,
+            frames: 0,
+            lastFrame: null,
+            shrinkCompleted: false
+        };
+        this.trialTiming = timing;
+        
+        // Animate snowball shrinking
+        const animate = (currentTime) => {
+            if (timing.onset === null) {
+                timing.onset = currentTime;
+                this.awaitingResponse = true;
+                if (this.recordTrajectories) {
+                    this.startTrajectory(currentTime);
+                }
+            }
+            timing.frames++;
+            timing.lastFrame = currentTime;
+            
+            const elapsed = currentTime - timing.onset;
+            const progress = Math.min(elapsed / this.snowballShrinkDuration, 1);
+            
+            // Calculate current size and redraw
+            this.snowballSize = this.snowballInitialSize - 
+                (this.snowballInitialSize - this.snowballFinalSize) * progress;
+            this.drawScene();
+            
+            // Continue animation if not complete
+            if (progress < 1) {
+                this.animationFrame = requestAnimationFrame(animate);
+            } else {
+                timing.shrinkCompleted = true;
+                this.animationFrame = null;
+            }
+        };
+        
+        this.animationFrame = requestAnimationFrame(animate);
+    }
+    
+    /**
+     * Start sampling the pointer position once per animation frame until the click.
+     * To keep the data compact a sample is only stored when the position changed;
+     * the pointer is at the last stored position in between.
+     * @param {number} onset - Stimulus onset timestamp (performance.now() clock)
+     */
+    startTrajectory(onset) {
+        const trajectory = { onset: onset, t: [], x: [] };
+        this.trajectory = trajectory;
+        
+        const sample = (currentTime) => {
+            // Stop when the response has been given (or a new trial has started)
+            if (!this.awaitingResponse || this.trajectory !== trajectory) {
+                return;
+            }
+            this.addTrajectorySample(currentTime, this.pointerX);
+            requestAnimationFrame(sample);
+        };
+        sample(onset);
+    }
+    
+    /**
+     * Add a pointer sample to the current trajectory if the position changed
+     * @param {number} time - Timestamp (performance.now() clock)
+     * @param {number} screenX - Pointer x-coordinate on the canvas
+     * @param {boolean} force - Store the sample even if the position did not change
+     */
+    addTrajectorySample(time, screenX, force = false) {
+        const trajectory = this.trajectory;
+        const x = Math.round(ExperimentUtils.screenToState(screenX, this.canvasWidth, this.stimulusGenerator.STATE_RANGE) * 10) / 10;
+        const lastX = trajectory.x[trajectory.x.length - 1];
+        
+        if (force || x !== lastX) {
+            trajectory.t.push(Math.round(time - trajectory.onset)); // ms since onset
+            trajectory.x.push(x); // State units, 0.1 resolution
+        }
     }
     
     /**
-     * Animate the snowball (white dot)
+     * Redraw the whole canvas for the current trial
      */
-    animateSnowball() {
-        // Clear canvas
+    drawScene() {
         this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
-        
-        // Draw horizontal line
         this.drawHorizontalLine();
         
         // Draw past dots if enabled
@@ -309,70 +1057,54 @@ class NeuroStateExperiment {
             this.drawPastDots();
         }
         
-        // Draw true state if in tutorial mode and phase >= 2
+        // Tutorial aids
         if (this.isTutorial && this.showTrueState) {
             this.drawTrueState();
         }
+        if (this.highlightChangePoints && this.currentTrial.change_flag) {
+            this.drawChangePointHighlight();
+        }
         
-        // Calculate screen position for the observation
-        const observationX = ExperimentUtils.stateToScreen(
-            this.currentTrial.x_t, 
-            this.canvasWidth, 
-            this.stimulusGenerator.STATE_RANGE
-        );
-        
-        // Animate snowball shrinking
-        const startTime = performance.now();
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / this.snowballShrinkDuration, 1);
-            
-            // Calculate current size
-            const currentSize = this.snowballInitialSize - 
-                (this.snowballInitialSize - this.snowballFinalSize) * progress;
-            
-            // Clear canvas and redraw
-            this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
-            this.drawHorizontalLine();
-            
-            // Draw past dots if enabled
-            if (this.showPastDotsFlag) {
-                this.drawPastDots();
-            }
-            
-            // Draw snowball
-            this.ctx.fillStyle = this.snowballColor;
+        // Draw snowball (in the catch-trial color on catch trials)
+        this.ctx.fillStyle = this.currentTrial.is_catch ? this.config.catchTrials.color : this.snowballColor;
+        for (const observationX of this.getScreenPositions(this.currentTrial.x_t, this.snowballSize)) {
             this.ctx.beginPath();
-            this.ctx.arc(observationX, this.lineY, currentSize, 0, Math.PI * 2);
+            this.ctx.arc(observationX, this.lineY, this.snowballSize, 0, Math.PI * 2);
             this.ctx.fill();
-            
-            // Draw pointer
-            this.drawPointer();
-            
-            // Continue animation if not complete
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                // Store current observation for potential future display
-                this.pastDots.push({
-                    x: observationX,
-                    y: this.lineY,
-                    size: this.snowballFinalSize,
-                    color: 'rgba(255, 255, 255, 0.5)'
-                });
-                
-                // Limit past dots to recent history
-                if (this.pastDots.length > 10) {
-                    this.pastDots.shift();
-                }
-            }
-        };
+        }
+        
+        if (this.currentTrial.is_catch) {
+            this.drawCatchInstruction();
+        }
         
-        requestAnimationFrame(animate);
+        this.drawPointer();
+    }
+    
+    /**
+     * Screen x-coordinates at which to draw a circle around a state. In the
+     * circular state space a circle that crosses an end of the line is drawn
+     * a second time at the other end, where it continues.
+     * @param {number} state - State value
+     * @param {number} radius - Radius of the circle (pixels)
+     * @returns {Array} Screen x-coordinates
+     */
+    getScreenPositions(state, radius) {
+        const x = ExperimentUtils.stateToScreen(state, this.canvasWidth, this.stimulusGenerator.STATE_RANGE);
+        const positions = [x];
+        if (this.stimulusGenerator.BOUNDARY === 'circular') {
+            if (x - radius < 0) {
+                positions.push(x + this.canvasWidth);
+            }
+            if (x + radius > this.canvasWidth) {
+                positions.push(x - this.canvasWidth);
+            }
+        }
+        return positions;
     }
     
     /**
-     * Draw the horizontal line
+     * Draw the horizontal line. In the circular state space both ends get an
+     * outward arrowhead, to show that the line continues at the other end.
      */
     drawHorizontalLine() {
         this.ctx.strokeStyle = 'white';
@@ -380,6 +1112,15 @@ class NeuroStateExperiment {
         this.ctx.beginPath();
         this.ctx.moveTo(0, this.lineY);
         this.ctx.lineTo(this.canvasWidth, this.lineY);
+        if (this.stimulusGenerator.BOUNDARY === 'circular') {
+            const size = 8;
+            this.ctx.moveTo(size, this.lineY - size);
+            this.ctx.lineTo(1, this.lineY);
+            this.ctx.lineTo(size, this.lineY + size);
+            this.ctx.moveTo(this.canvasWidth - size, this.lineY - size);
+            this.ctx.lineTo(this.canvasWidth - 1, this.lineY);
+            this.ctx.lineTo(this.canvasWidth - size, this.lineY + size);
+        }
         this.ctx.stroke();
     }
     
@@ -387,14 +1128,45 @@ class NeuroStateExperiment {
      * Draw past observation dots
      */
     drawPastDots() {
-        this.pastDots.forEach(dot => {
-            this.ctx.fillStyle = dot.color;
-            this.ctx.beginPath();
-            this.ctx.arc(dot.x, dot.y, dot.size, 0, Math.PI * 2);
-            this.ctx.fill();
+        const observations = this.getPastObservations();
+        observations.forEach((observation, i) => {
+            const age = observations.length - i; // 1 for the previous trial
+            this.ctx.fillStyle = `rgba(255, 255, 255, ${this.getPastDotAlpha(age)})`;
+            for (const x of this.getScreenPositions(observation, this.snowballFinalSize)) {
+                this.ctx.beginPath();
+                this.ctx.arc(x, this.lineY, this.snowballFinalSize, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
         });
     }
     
+    /**
+     * The most recent observations of the current sequence, oldest first. They
+     * are read from the sequence, so the history is also right after a resume.
+     * @returns {Array} Observations (state units)
+     */
+    getPastObservations() {
+        const start = Math.max(0, this.trialIdx - this.config.pastDots.historyLength);
+        return this.currentTrials.slice(start, this.trialIdx).map(trial => trial.x_t);
+    }
+    
+    /**
+     * Opacity of a past observation
+     * @param {number} age - Trials ago (1 for the previous trial)
+     * @returns {number} Alpha between 0 and 1
+     */
+    getPastDotAlpha(age) {
+        const { fading, maxAlpha, minAlpha, halfLife, historyLength } = this.config.pastDots;
+        if (fading === 'linear') {
+            return historyLength === 1 ? maxAlpha :
+                maxAlpha - (maxAlpha - minAlpha) * (age - 1) / (historyLength - 1);
+        }
+        if (fading === 'exponential') {
+            return maxAlpha * Math.pow(0.5, (age - 1) / halfLife);
+        }
+        return maxAlpha;
+    }
+    
     /**
      * Draw the true state position (red dot)
      */
@@ -408,12 +1180,14 @@ class NeuroStateExperiment {
         
         // Draw the true state as a red dot
         this.ctx.fillStyle = 'red';
-        this.ctx.beginPath();
-        this.ctx.arc(trueStateX, this.lineY, 6, 0, Math.PI * 2);
-        this.ctx.fill();
+        for (const x of this.getScreenPositions(this.currentTrial.s_t, 6)) {
+            this.ctx.beginPath();
+            this.ctx.arc(x, this.lineY, 6, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
         
-        // Draw a label if not in the final tutorial phase
-        if (this.tutorialPhase < 5) {
+        // Draw a label if the tutorial phase asks for it
+        if (this.getTutorialPhaseDefinition().trueStateLabel) {
             this.ctx.fillStyle = 'red';
             this.ctx.font = '12px Arial';
             this.ctx.textAlign = 'center';
@@ -421,6 +1195,54 @@ class NeuroStateExperiment {
         }
     }
     
+    /**
+     * Mark a change point: a ring around the new hidden state (when it is shown)
+     * and a message above the line
+     */
+    drawChangePointHighlight() {
+        this.ctx.strokeStyle = 'orange';
+        this.ctx.lineWidth = 3;
+        if (this.showTrueState) {
+            for (const trueStateX of this.getScreenPositions(this.currentTrial.s_t, 14)) {
+                this.ctx.beginPath();
+                this.ctx.arc(trueStateX, this.lineY, 14, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        }
+        
+        this.ctx.fillStyle = 'orange';
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('The hidden state has changed', this.canvasWidth / 2, 20);
+    }
+    
+    /**
+     * Show the catch-trial instruction above the line
+     */
+    drawCatchInstruction() {
+        const catchConfig = this.config.catchTrials;
+        this.ctx.fillStyle = catchConfig.color;
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(catchConfig.instruction ?? `Click exactly on the ${catchConfig.color} dot`, this.canvasWidth / 2, 20);
+    }
+    
+    /**
+     * Show feedback on the response of a tutorial trial
+     * @param {number} points - Points awarded
+     * @param {number} distance - Distance between click and hidden state
+     */
+    drawTrialFeedback(points, distance) {
+        const text = this.trialFeedback === 'points' ?
+            `+${ScoringRules.formatScore(points)} points` :
+            `Your estimate was ${distance.toFixed(1)} units from the hidden state`;
+        
+        this.ctx.fillStyle = 'yellow';
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(text, this.canvasWidth / 2, this.canvasHeight - 15);
+    }
+    
     /**
      * Draw the green pointer
      */
@@ -440,39 +1262,22 @@ class NeuroStateExperiment {
      * @param {MouseEvent} event - Mouse move event
      */
     handleMouseMove(event) {
+        // Time of the first movement after stimulus onset
+        const timing = this.trialTiming;
+        if (timing && timing.onset !== null && timing.firstMove === null && this.awaitingResponse) {
+            timing.firstMove = event.timeStamp || performance.now();
+        }
+        
         const rect = this.canvas.getBoundingClientRect();
         const mouseX = event.clientX - rect.left;
         
         // Constrain pointer to canvas bounds
         this.pointerX = Math.max(0, Math.min(mouseX, this.canvasWidth));
         
-        // Redraw canvas
-        this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
-        this.drawHorizontalLine();
-        
-        // Draw true state if in tutorial mode and enabled
-        if (this.isTutorial && this.showTrueState) {
-            this.drawTrueState();
-        }
-        
-        // Draw snowball
-        const observationX = ExperimentUtils.stateToScreen(
-            this.currentTrial.x_t, 
-            this.canvasWidth, 
-            this.stimulusGenerator.STATE_RANGE
-        );
-        this.ctx.fillStyle = this.snowballColor;
-        this.ctx.beginPath();
-        this.ctx.arc(observationX, this.lineY, this.snowballFinalSize, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        // Draw past dots if enabled
-        if (this.showPastDotsFlag) {
-            this.drawPastDots();
+        // Redraw canvas; after the click the response and any feedback stay on screen
+        if (this.awaitingResponse) {
+            this.drawScene();
         }
-        
-        // Draw pointer
-        this.drawPointer();
     }
     
     /**
@@ -480,9 +1285,22 @@ class NeuroStateExperiment {
      * @param {MouseEvent} event - Mouse click event
      */
     handleClick(event) {
+        // Only accept one response per trial, and only once the stimulus is on screen
+        if (!this.awaitingResponse) {
+            return;
+        }
+        this.awaitingResponse = false;
+        
         const rect = this.canvas.getBoundingClientRect();
         const clickX = event.clientX - rect.left;
-        const clickTime = performance.now();
+        const clickTime = event.timeStamp || performance.now();
+        const timing = this.trialTiming;
+        
+        // Stop the shrink animation so it does not draw over the next trial
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
         
         // Convert to state space
         const clickState = ExperimentUtils.screenToState(
@@ -497,41 +1315,192 @@ class NeuroStateExperiment {
         this.ctx.arc(clickX, this.lineY, 6, 0, Math.PI * 2);
         this.ctx.fill();
         
-        // Calculate points
-        const points = ExperimentUtils.calculatePoints(clickState, this.currentTrial.s_t);
+        // Close the pointer trajectory with the click position
+        if (this.recordTrajectories && this.trajectory) {
+            this.addTrajectorySample(clickTime, clickX, true);
+            this.experimentData.trajectories.push({
+                trial_number: this.experimentData.trials.length,
+                condition: this.condition,
+                block_idx: this.blockIdx,
+                trial_idx: this.trialIdx,
+                tutorial_phase: this.tutorialPhase,
+                tutorial_attempt: this.isTutorial ? this.tutorialAttempt : null,
+                t: this.trajectory.t,
+                x: this.trajectory.x
+            });
+            this.trajectory = null;
+        }
+        
+        // Calculate points (catch trials are not scored). Errors are measured the
+        // shortest way round in the circular state space.
+        const isCatch = this.currentTrial.is_catch === true;
+        const error = isCatch ? null : this.stimulusGenerator.stateDifference(clickState, this.currentTrial.s_t);
+        const points = isCatch ? 0 : this.scoringRule.points(error);
         this.totalScore += points;
+        const catchError = isCatch ? Math.abs(this.stimulusGenerator.stateDifference(clickState, this.currentTrial.x_t)) : null;
+        
+        // Trial feedback in tutorial phases that ask for it
+        const showFeedback = !isCatch && this.trialFeedback !== 'none';
+        if (showFeedback) {
+            this.drawTrialFeedback(points, Math.abs(error));
+        }
         
-        // Update score display
-        this.scoreDisplay.textContent = `Score: ${this.totalScore}`;
+        // The score is only shown at checkpoints, at the end of each block
+        const isCheckpoint = !isCatch && this.isBlockEnd();
+        if (isCheckpoint) {
+            this.checkpointScore = this.totalScore;
+            this.scoreDisplay.textContent = `Score: ${ScoringRules.formatScore(this.checkpointScore)}`;
+        }
         
-        // Check if this is a repeated click (same as previous trial)
-        const previousTrial = this.experimentData.trials[this.experimentData.trials.length - 1];
-        const repeatedClickFlag = previousTrial ? clickState === previousTrial.click_x : false;
+        // Quality-control flags for this response. A repeated click is judged against the
+        // previous estimation trial, not a catch trial in between.
+        const previousTrial = this.experimentData.trials.findLast(trial => !trial.catch_trial_flag);
+        const rt = clickTime - timing.onset;
+        const farHistory = this.config.qualityControl.farHistory;
+        const qcFlags = QualityMonitor.assessResponse({
+            click: clickState,
+            rt: rt,
+            previousClick: previousTrial ? previousTrial.click_x : null,
+            observations: this.currentTrials.slice(Math.max(0, this.trialIdx + 1 - farHistory), this.trialIdx)
+                .map(trial => trial.x_t).concat(this.currentTrial.x_t),
+            stateRange: this.stimulusGenerator.STATE_RANGE,
+            circular: this.stimulusGenerator.BOUNDARY === 'circular'
+        }, this.config.qualityControl);
         
         // Log trial data
         this.logTrialData({
             pid: this.participantID,
+            trial_number: this.experimentData.trials.length, // Running trial count in the session
             condition: this.condition,
+            condition_order: this.conditionOrder.join('-'),
+            condition_idx: this.conditionIdx,
             block_idx: this.blockIdx,
-            trial_idx: this.trialIdx,
+            trial_idx: this.isTutorial ? this.trialIdx : this.trialIdx % this.trialsPerBlock,
+            sequence_idx: this.trialIdx, // Position in the tutorial phase or main sequence
             tau_true: this.currentTrial.tau_true,
             change_flag: this.currentTrial.change_flag,
+            hazard_rate: this.currentTrial.hazard_rate,
+            hazard_function: this.currentTrial.hazard_function,
             s_t: this.currentTrial.s_t,
             x_t: this.currentTrial.x_t,
+            likelihood_width: this.currentTrial.likelihood_width,
+            likelihood_function: this.currentTrial.likelihood_function,
+            transition_kernel: this.currentTrial.transition_kernel,
             click_x: clickState,
-            rt_ms: clickTime - performance.now(), // This will be negative, we need to fix this
-            repeated_click_flag: repeatedClickFlag,
+            estimation_error: error,
+            observer_mean: this.currentTrial.observer_mean,
+            observer_map: this.currentTrial.observer_map,
+            observer_sd: this.currentTrial.observer_sd,
+            observer_cp_prob: this.currentTrial.observer_cp_prob,
+            rt_ms: rt,
+            trial_start_ms: timing.trialStart,
+            stimulus_onset_ms: timing.onset,
+            click_time_ms: clickTime,
+            first_move_latency_ms: timing.firstMove === null ? null : timing.firstMove - timing.onset,
+            shrink_frames: timing.frames,
+            shrink_duration_ms: timing.lastFrame - timing.onset,
+            shrink_completed: timing.shrinkCompleted,
+            repeated_click_flag: qcFlags.repeated_click_flag,
+            too_fast_flag: qcFlags.too_fast_flag,
+            out_of_range_flag: qcFlags.out_of_range_flag,
+            nearest_observation_distance: qcFlags.nearest_observation_distance,
+            far_click_flag: qcFlags.far_click_flag,
+            fullscreen_flag: this.qualityMonitor.isFullscreen(),
+            catch_trial_flag: isCatch,
+            catch_idx: isCatch ? this.currentTrial.catch_idx : null,
+            catch_error: catchError,
+            catch_passed: isCatch ? catchError <= this.config.catchTrials.tolerance : null,
             points_awarded: points,
-            score_total_at_checkpoint: this.totalScore,
+            score_total_at_checkpoint: isCheckpoint ? this.checkpointScore : null,
             show_past_dots_flag: this.showPastDotsFlag,
-            tutorial_phase: this.tutorialPhase
+            tutorial_phase: this.tutorialPhase,
+            tutorial_attempt: this.isTutorial ? this.tutorialAttempt : null
         });
         
-        // After a brief delay, start the next trial
-        setTimeout(() => {
+        // Save progress so the session can be resumed from the next trial. A catch
+        // trial is followed by the main trial it was shown before.
+        if (isCatch) {
+            this.completedCatchTrials[this.condition].add(this.currentTrial.catch_idx);
+        } else {
             this.trialIdx++;
+        }
+        this.saveSession();
+        
+        // After a brief delay, start the next trial (or rest between blocks)
+        const takeBreak = isCheckpoint && this.trialIdx < this.currentTrials.length;
+        setTimeout(() => {
+            if (takeBreak) {
+                this.showBlockBreak();
+            } else {
+                this.startTrial();
+            }
+        }, this.interTrialInterval + (showFeedback ? this.config.tutorial.feedbackDuration : 0));
+    }
+    
+    /**
+     * Show the rest screen between two blocks, with the score at this checkpoint.
+     * Self-paced breaks can be ended right away; enforced breaks last breakDuration seconds.
+     */
+    showBlockBreak() {
+        const blockConfig = this.config.blocks;
+        const enforced = blockConfig.breakMode === 'enforced';
+        const blocksDone = this.trialIdx / this.trialsPerBlock;
+        const blocksTotal = this.getBlocksPerCondition();
+        const breakStart = new Date();
+        
+        this.onBreak = true;
+        this.saveSession();
+        this.experimentDisplay.style.display = 'none';
+        this.progressContainer.style.display = 'none';
+        
+        this.blockBreak.innerHTML = `
+            <h2>Time for a Break</h2>
+            <p>You have completed block ${blocksDone} of ${blocksTotal} in this part.</p>
+            <p class="checkpoint-score">Your score so far: <strong>${ScoringRules.formatScore(this.checkpointScore)}</strong> points</p>
+            <p id="break-countdown"></p>
+            <button id="end-break-button" class="prominent-button"${enforced ? ' disabled' : ''}>Continue</button>
+        `;
+        this.blockBreak.style.display = 'block';
+        
+        const button = document.getElementById('end-break-button');
+        const countdown = document.getElementById('break-countdown');
+        let countdownTimer = null;
+        
+        if (enforced) {
+            const endTime = breakStart.getTime() + blockConfig.breakDuration * 1000;
+            const tick = () => {
+                const remaining = Math.ceil((endTime - Date.now()) / 1000);
+                if (remaining > 0) {
+                    countdown.textContent = `Please rest. You can continue in ${remaining} seconds.`;
+                } else {
+                    countdown.textContent = 'You can continue when you are ready.';
+                    button.disabled = false;
+                    clearInterval(countdownTimer);
+                }
+            };
+            tick();
+            countdownTimer = setInterval(tick, 250);
+        } else {
+            countdown.textContent = 'Take a short rest, then click Continue when you are ready.';
+        }
+        
+        button.addEventListener('click', () => {
+            clearInterval(countdownTimer);
+            this.experimentData.breaks.push({
+                condition: this.condition,
+                after_block_idx: this.getBlockIdx() - 1,
+                break_mode: blockConfig.breakMode,
+                started_at: breakStart.toISOString(),
+                duration_ms: Date.now() - breakStart.getTime(),
+                score_total_at_checkpoint: this.checkpointScore
+            });
+            
+            this.onBreak = false;
+            this.blockBreak.style.display = 'none';
+            this.experimentDisplay.style.display = 'block';
+            this.progressContainer.style.display = 'block';
             this.startTrial();
-        }, this.interTrialInterval);
+        });
     }
     
     /**
@@ -540,6 +1509,10 @@ class NeuroStateExperiment {
      */
     logTrialData(data) {
         this.experimentData.trials.push(data);
+        
+        if (this.dataSubmitter) {
+            this.dataSubmitter.addTrial(data);
+        }
     }
     
     /**
@@ -547,39 +1520,185 @@ class NeuroStateExperiment {
      */
     endBlock() {
         if (this.isTutorial) {
-            if (this.tutorialPhase < 5) {
-                // Move to next tutorial phase
-                this.tutorialPhase++;
-                
-                // Show true state for phases 2 through 5
-                if (this.tutorialPhase >= 2) {
-                    this.showTrueState = true;
-                }
-                
-                this.showTutorialInfo();
-                this.startBlock();
-            } else {
-                // End of tutorial, start main experiment
-                this.startMainExperiment();
-            }
+            this.endTutorialPhase();
+        } else if (this.conditionIdx < this.conditionOrder.length - 1) {
+            // End of main experiment for this condition, move on to the next one
+            this.showConditionTransition();
         } else {
             // End of main experiment
             this.endExperiment();
         }
     }
     
+    /**
+     * End a tutorial phase: repeat it if the performance criterion was not met,
+     * run the comprehension check that follows it, then move on
+     */
+    async endTutorialPhase() {
+        const result = this.evaluateTutorialPhase();
+        if (result && !result.passed) {
+            if (this.tutorialAttempt >= this.config.tutorial.maxAttempts) {
+                this.screenOut(`Did not reach the accuracy criterion in tutorial phase ${this.tutorialPhase} ` +
+                    `after ${this.tutorialAttempt} attempts`);
+                return;
+            }
+            await this.showPhaseRepeat(result);
+            this.tutorialAttempt++;
+            this.startBlock();
+            return;
+        }
+        
+        if (!(await this.runComprehensionCheck(this.tutorialPhase))) {
+            return;
+        }
+        
+        this.tutorialAttempt = 1;
+        if (this.tutorialPhase < this.tutorialPhases.length) {
+            // Move to next tutorial phase
+            this.tutorialPhase++;
+            
+            this.applyPhaseSettings();
+            this.showTutorialInfo();
+            this.startBlock();
+        } else {
+            // End of tutorial, start main experiment
+            this.startMainExperiment();
+        }
+    }
+    
+    /**
+     * Check the performance criterion of the tutorial phase that just ended
+     * @returns {Object|null} Logged attempt, or null if the phase has no criterion
+     */
+    evaluateTutorialPhase() {
+        const criterion = this.config.tutorial.performance.find(entry => entry.phase === this.tutorialPhase);
+        if (!criterion) {
+            return null;
+        }
+        
+        const trials = this.experimentData.trials.filter(trial =>
+            trial.condition === this.condition &&
+            trial.tutorial_phase === this.tutorialPhase &&
+            trial.tutorial_attempt === this.tutorialAttempt);
+        const meanError = trials.reduce((sum, trial) =>
+            sum + Math.abs(this.stimulusGenerator.stateDifference(trial.click_x, trial.s_t)), 0) / trials.length;
+        
+        // After a reload the phase end is evaluated again; log each attempt once
+        let result = this.experimentData.tutorialAttempts.find(entry =>
+            entry.condition === this.condition &&
+            entry.phase === this.tutorialPhase &&
+            entry.attempt === this.tutorialAttempt);
+        if (!result) {
+            result = {
+                condition: this.condition,
+                phase: this.tutorialPhase,
+                attempt: this.tutorialAttempt,
+                trials: trials.length,
+                meanError: meanError,
+                maxMeanError: criterion.maxMeanError,
+                passed: meanError <= criterion.maxMeanError,
+                time: new Date().toISOString()
+            };
+            this.experimentData.tutorialAttempts.push(result);
+        }
+        return result;
+    }
+    
+    /**
+     * Tell the participant that a tutorial phase will be repeated
+     * @param {Object} result - Attempt from evaluateTutorialPhase()
+     * @returns {Promise<void>} Resolves when the participant continues
+     */
+    showPhaseRepeat(result) {
+        this.experimentDisplay.style.display = 'none';
+        this.progressContainer.style.display = 'none';
+        
+        const remaining = this.config.tutorial.maxAttempts - result.attempt;
+        this.blockBreak.innerHTML = `
+            <h2>Let's Try That Again</h2>
+            <p>Your estimates were on average ${result.meanError.toFixed(1)} units away from the hidden state (red dot).
+               To continue, the average needs to be ${result.maxMeanError} units or less.</p>
+            <p>Try to click where you think the hidden state is, using all the recent observations.
+               You have ${remaining} more ${remaining === 1 ? 'try' : 'tries'}.</p>
+            <button id="repeat-phase-button" class="prominent-button">Repeat Practice</button>
+        `;
+        this.blockBreak.style.display = 'block';
+        
+        return new Promise(resolve => {
+            document.getElementById('repeat-phase-button').addEventListener('click', () => {
+                this.blockBreak.style.display = 'none';
+                this.experimentDisplay.style.display = 'block';
+                this.progressContainer.style.display = 'block';
+                resolve();
+            });
+        });
+    }
+    
+    /**
+     * Show the transition screen between the first and second condition
+     */
+    showConditionTransition() {
+        this.experimentDisplay.style.display = 'none';
+        this.progressContainer.style.display = 'none';
+        
+        const completed = this.conditionIdx + 1;
+        const total = this.conditionOrder.length;
+        
+        this.conditionTransition.innerHTML = `
+            <h2>Part ${completed} of ${total} Complete</h2>
+            <p>Well done! You have finished part ${completed} of the experiment.</p>
+            <p class="checkpoint-score">Your score so far: <strong>${ScoringRules.formatScore(this.checkpointScore)}</strong> points</p>
+            <p>In the next part, the hidden state changes according to a different pattern.
+               You will first complete a short tutorial again before the main trials.</p>
+            <p>Take a short break if you need one, then click the button below to continue.</p>
+            <button id="continue-condition-button" class="prominent-button">Continue to Part ${completed + 1}</button>
+        `;
+        this.conditionTransition.style.display = 'block';
+        
+        document.getElementById('continue-condition-button')
+            .addEventListener('click', () => this.startNextCondition());
+    }
+    
+    /**
+     * Start the tutorial and main experiment of the next condition in conditionOrder
+     */
+    startNextCondition() {
+        this.conditionIdx++;
+        this.condition = this.conditionOrder[this.conditionIdx];
+        console.log(`Starting condition ${this.condition} (${this.conditionIdx + 1}/${this.conditionOrder.length})`);
+        
+        this.conditionTransition.style.display = 'none';
+        this.experimentDisplay.style.display = 'block';
+        this.progressContainer.style.display = 'block';
+        this.progressBar.style.width = '0%';
+        
+        this.startTutorial();
+    }
+    
     /**
      * End the experiment
      */
-    endExperiment() {
-        // Hide experiment display, show completion screen
+    async endExperiment() {
         this.experimentDisplay.style.display = 'none';
         this.progressContainer.style.display = 'none';
+        this.finishQualityControl();
+        
+        // Post-task questionnaire, then the completion screen
+        await this.showForm('questionnaire');
         this.completionScreen.style.display = 'block';
         
+        // Bonus for payment, saved with the data
+        this.experimentData.bonus = this.calculateBonus();
+        
         // Generate experiment summary
         this.displayExperimentSummary();
         
+        // The session is finished, so there is nothing left to resume
+        this.sessionStore.clear();
+        
+        // Send the complete data set to the backend, then return to the recruitment platform
+        this.finishSubmission('completed');
+        
         // Set up download buttons
         const jsonButton = document.getElementById('download-json');
         const csvButton = document.getElementById('download-csv');
@@ -587,28 +1706,215 @@ class NeuroStateExperiment {
         jsonButton.addEventListener('click', () => {
             ExperimentUtils.downloadData(
                 this.experimentData, 
-                `neurostate_${this.participantID}_${this.condition}`
+                `neurostate_${this.participantID}_${this.conditionOrder.join('')}`
             );
         });
         
         csvButton.addEventListener('click', () => {
             ExperimentUtils.downloadCSV(
                 this.experimentData, 
-                `neurostate_${this.participantID}_${this.condition}`
+                `neurostate_${this.participantID}_${this.conditionOrder.join('')}`
             );
         });
         
+        if (this.experimentData.trajectories.length) {
+            const trajectoryButton = document.getElementById('download-trajectories');
+            trajectoryButton.style.display = 'inline-block';
+            trajectoryButton.addEventListener('click', () => {
+                ExperimentUtils.downloadTrajectoriesCSV(
+                    this.experimentData,
+                    `neurostate_${this.participantID}_${this.conditionOrder.join('')}_trajectories`
+                );
+            });
+        }
+        
         // Remove event listeners
         this.canvas.removeEventListener('mousemove', this.handleMouseMove);
         this.canvas.removeEventListener('click', this.handleClick);
     }
     
+    /**
+     * Record a quality-control event with the point in the session at which it ended
+     * @param {Object} event - Event from QualityMonitor
+     */
+    logQCEvent(event) {
+        this.experimentData.qcEvents.push(Object.assign(event, {
+            condition: this.condition,
+            tutorial_phase: this.tutorialPhase,
+            trial_number: this.experimentData.trials.length // Trials completed when the event ended
+        }));
+    }
+    
+    /**
+     * Stop monitoring and save the QC summary with its exclusion flags
+     */
+    finishQualityControl() {
+        this.qualityMonitor.stop();
+        this.experimentData.qcSummary = QualityMonitor.summarize(this.experimentData, this.config.qualityControl);
+        if (this.experimentData.qcSummary.exclude) {
+            console.warn('QC exclusion criteria exceeded:', this.experimentData.qcSummary.flags);
+        }
+    }
+    
+    /**
+     * Convert the points earned into the monetary bonus
+     * @returns {Object} Scoring rule, points counted, and bonus amount
+     */
+    calculateBonus() {
+        const bonusConfig = this.config.scoring.bonus;
+        const trials = this.experimentData.trials.filter(trial =>
+            !trial.catch_trial_flag && (bonusConfig.includeTutorial || trial.tutorial_phase === null));
+        const score = trials.reduce((sum, trial) => sum + trial.points_awarded, 0);
+        
+        return {
+            scoringRule: this.scoringRule.label,
+            trialsCounted: trials.length,
+            score: ScoringRules.formatScore(score),
+            maxScore: trials.length * this.scoringRule.maxPoints,
+            amount: ScoringRules.calculateBonus(score, bonusConfig),
+            currency: bonusConfig.currency
+        };
+    }
+    
+    /**
+     * End the session early for a participant who does not meet the study criteria.
+     * The data collected so far is kept and the screened-out code is shown.
+     * @param {string} reason - Why the participant was screened out
+     */
+    screenOut(reason) {
+        cancelAnimationFrame(this.animationFrame);
+        this.awaitingResponse = false;
+        this.experimentData.screenedOut = {
+            reason: reason,
+            trialsCompleted: this.experimentData.trials.length,
+            time: new Date().toISOString()
+        };
+        console.log('Participant screened out:', this.experimentData.screenedOut);
+        this.finishQualityControl();
+        
+        for (const element of [this.instructionsDisplay, this.formScreen, this.experimentDisplay,
+            this.progressContainer, this.blockBreak, this.conditionTransition]) {
+            element.style.display = 'none';
+        }
+        this.completionScreen.style.display = 'block';
+        document.getElementById('completion-title').textContent = 'Study Ended';
+        document.getElementById('completion-message').textContent =
+            'Unfortunately you cannot continue with this study. Thank you for your time.';
+        document.querySelector('#completion-screen .download-options').style.display = 'none';
+        
+        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+        this.canvas.removeEventListener('click', this.handleClick);
+        
+        this.sessionStore.clear();
+        this.finishSubmission('screened-out');
+    }
+    
+    /**
+     * Submit the complete data set and return the participant to the recruitment
+     * platform: right away without a backend, otherwise once every submission,
+     * including later retries, has reached the server
+     * @param {string} outcome - 'completed' or 'screened-out'
+     * @returns {Promise<void>} Resolves when the data is saved (or there is no backend)
+     */
+    finishSubmission(outcome) {
+        return this.submitFinalData().then(saved => {
+            this.returnToPlatform(outcome, saved);
+            if (saved === false) {
+                return this.watchPendingSubmissions().then(() => this.returnToPlatform(outcome, true));
+            }
+            return undefined;
+        }).catch(error => {
+            // The queue itself failed, so nothing will be retried: the download is the only copy
+            console.error('Could not queue the data for submission:', error);
+            const statusElement = document.getElementById('submission-status');
+            statusElement.style.display = 'block';
+            statusElement.textContent = 'Your data could not be saved. Please download your data below.';
+            this.returnToPlatform(outcome, false);
+        });
+    }
+    
+    /**
+     * Show the completion code and send the participant back to the recruitment
+     * platform, unless the data is still waiting to reach the server
+     * @param {string} outcome - 'completed' or 'screened-out'
+     * @param {boolean|null} dataSaved - Whether the data reached the server (null without a backend)
+     */
+    returnToPlatform(outcome, dataSaved) {
+        const codeElement = document.getElementById('completion-code');
+        const code = this.recruitment.getCompletionCode(outcome);
+        const canRedirect = this.recruitment.getRedirectURL(outcome) !== null;
+        let html = code ? `<p>Your completion code is <strong>${code}</strong></p>` : '';
+        
+        if (canRedirect && dataSaved !== false) {
+            const delay = this.config.recruitment.redirectDelay;
+            html += `<p>You will be returned to the study platform in ${delay} seconds.</p>`;
+            setTimeout(() => this.recruitment.redirect(outcome), delay * 1000);
+        } else if (canRedirect) {
+            // Leaving now would lose the unsaved data, unless it has been downloaded
+            html += '<p>You will be returned to the study platform once your data has been saved. ' +
+                'If saving does not succeed, download your data below, then continue.</p>' +
+                '<button id="return-to-platform" class="prominent-button">Return to the study platform now</button>';
+        } else if (code) {
+            html += '<p>Please enter this code on the study platform.</p>';
+        }
+        
+        if (html) {
+            codeElement.innerHTML = html;
+            codeElement.style.display = 'block';
+        }
+        const returnButton = document.getElementById('return-to-platform');
+        if (returnButton) {
+            returnButton.addEventListener('click', () => this.recruitment.redirect(outcome));
+        }
+    }
+    
+    /**
+     * Submit the complete data set and show whether it reached the server
+     * @returns {Promise<boolean|null>} Whether the data reached the server (null without a backend)
+     */
+    submitFinalData() {
+        const statusElement = document.getElementById('submission-status');
+        if (!this.dataSubmitter) {
+            return Promise.resolve(null);
+        }
+        
+        statusElement.style.display = 'block';
+        statusElement.textContent = 'Saving your data...';
+        
+        return this.dataSubmitter.submitCompletion(this.experimentData).then(saved => {
+            statusElement.textContent = saved ? 'Your data has been saved.' :
+                'Your data could not be saved yet. Please keep this page open while we retry, or download your data below.';
+            return saved;
+        });
+    }
+    
+    /**
+     * Poll the submission queue until everything has been sent
+     * @returns {Promise<void>} Resolves once the queue is empty
+     */
+    watchPendingSubmissions() {
+        const statusElement = document.getElementById('submission-status');
+        return new Promise(resolve => {
+            const check = () => {
+                this.dataSubmitter.pendingCount().then(count => {
+                    if (count === 0) {
+                        statusElement.textContent = 'Your data has been saved. You can close this page.';
+                        resolve();
+                    } else {
+                        setTimeout(check, 2000);
+                    }
+                }, () => setTimeout(check, 2000));
+            };
+            setTimeout(check, 2000);
+        });
+    }
+    
     /**
      * Display summary of experiment results
      */
     displayExperimentSummary() {
         const summaryElement = document.getElementById('experiment-summary');
-        const trials = this.experimentData.trials;
+        const trials = this.experimentData.trials.filter(trial => !trial.catch_trial_flag);
         
         if (!trials.length) {
             summaryElement.innerHTML = '<p>No experiment data available.</p>';
@@ -626,13 +1932,15 @@ class NeuroStateExperiment {
             validRTs.reduce((sum, trial) => sum + trial.rt_ms, 0) / validRTs.length : 0;
         
         // Calculate accuracy (points awarded relative to maximum possible)
-        const maxPointsPerTrial = 100; // Assuming 100 is max points per trial
+        const maxPointsPerTrial = this.scoringRule.maxPoints;
         const accuracy = (totalPoints / (totalTrials * maxPointsPerTrial)) * 100;
         
         // Count change trials
         const changeTrials = trials.filter(trial => trial.change_flag).length;
         const changePercentage = (changeTrials / totalTrials) * 100;
         
+        const bonus = this.experimentData.bonus;
+        
         // Format HTML
         const summary = `
             <h3>Experiment Summary</h3>
@@ -642,8 +1950,8 @@ class NeuroStateExperiment {
                     <td>${this.participantID}</td>
                 </tr>
                 <tr>
-                    <td><strong>Condition:</strong></td>
-                    <td>${this.condition}</td>
+                    <td><strong>Condition Order:</strong></td>
+                    <td>${this.conditionOrder.join(' → ')}</td>
                 </tr>
                 <tr>
                     <td><strong>Total Trials:</strong></td>
@@ -651,7 +1959,7 @@ class NeuroStateExperiment {
                 </tr>
                 <tr>
                     <td><strong>Total Score:</strong></td>
-                    <td>${totalPoints.toFixed(0)} points</td>
+                    <td>${ScoringRules.formatScore(totalPoints)} points</td>
                 </tr>
                 <tr>
                     <td><strong>Average Score per Trial:</strong></td>
@@ -669,6 +1977,10 @@ class NeuroStateExperiment {
                     <td><strong>State Changes:</strong></td>
                     <td>${changeTrials} (${changePercentage.toFixed(1)}% of trials)</td>
                 </tr>
+                <tr>
+                    <td><strong>Bonus:</strong></td>
+                    <td>${bonus.amount.toFixed(2)} ${bonus.currency}</td>
+                </tr>
             </table>
             <p>Download your data below for detailed analysis.</p>
         `;
@@ -678,17 +1990,21 @@ class NeuroStateExperiment {
 }
 
 // Initialize the experiment when page loads
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     try {
+        console.log("Loading experiment config...");
+        const config = await ExperimentConfig.load();
+        console.log(`Using config "${config.name}":`, config);
+        
         console.log("Initializing NeuroStateExperiment...");
-        const experiment = new NeuroStateExperiment();
+        const experiment = new NeuroStateExperiment(config);
         console.log("Experiment initialized successfully");
     } catch (error) {
         console.error("Error initializing experiment:", error);
         document.body.innerHTML += `
             <div style="color: red; padding: 20px; border: 2px solid red; margin: 20px;">
                 <h3>Error initializing experiment</h3>
-                <p>${error.message}</p>
+                <p style="white-space: pre-line;">${error.message}</p>
                 <button onclick="location.reload()">Reload Page</button>
             </div>
         `;
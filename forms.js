@@ -0,0 +1,353 @@
+/**
+ * Form Screens for the NeuroState Estimation Task
+ * Shows the consent page, the demographics form and the post-task questionnaire.
+ * Each form is defined in the `forms` section of ExperimentConfig as a list of
+ * questions; answers are validated before the form can be submitted.
+ *
+ * Question fields:
+ *   id          - Key of the answer in the data
+ *   type        - 'radio', 'select', 'scale', 'number', 'text', 'textarea' or 'checkbox'
+ *   label       - Question text ('{part}' is replaced by the part number for perCondition questions)
+ *   required    - Whether an answer is needed (a required checkbox must be ticked)
+ *   options     - [{ value, label }] for radio and select
+ *   min, max    - Range for number and scale; minLabel / maxLabel describe the scale ends
+ *   maxLength   - Longest accepted answer for text and textarea
+ *   conditions  - Only ask participants who did one of these conditions
+ *   perCondition - Ask once for every condition the participant did (answer ids get a _<condition> suffix)
+ */
+
+class FormScreen {
+    /**
+     * @param {Object} definition - Form definition from the config
+     * @param {HTMLElement} container - Element the form is rendered into
+     */
+    constructor(definition, container) {
+        this.definition = definition;
+        this.container = container;
+        this.questions = [];
+    }
+    
+    /**
+     * Show the form and wait until it is submitted (or declined)
+     * @param {Object} context - { conditionOrder } of the participant
+     * @returns {Promise<Object|null>} Answers keyed by question id, or null if declined
+     */
+    show(context) {
+        this.questions = FormScreen.expandQuestions(this.definition.questions, context);
+        this.render();
+        
+        return new Promise(resolve => {
+            const form = this.container.querySelector('form');
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                const answers = this.readAnswers();
+                const errors = FormScreen.validateAnswers(this.questions, answers);
+                this.showErrors(errors);
+                if (Object.keys(errors).length === 0) {
+                    this.container.style.display = 'none';
+                    resolve(answers);
+                }
+            });
+            
+            const declineButton = this.container.querySelector('.form-decline');
+            if (declineButton) {
+                declineButton.addEventListener('click', () => {
+                    this.container.style.display = 'none';
+                    resolve(null);
+                });
+            }
+        });
+    }
+    
+    /**
+     * Render the form into the container
+     */
+    render() {
+        const definition = this.definition;
+        this.container.innerHTML = `
+            <h2>${definition.title}</h2>
+            ${definition.text ? `<div class="form-text">${definition.text}</div>` : ''}
+            <form novalidate>
+                ${this.questions.map(question => this.renderQuestion(question)).join('')}
+                <div class="form-buttons">
+                    <button type="submit" class="prominent-button">${definition.submitLabel}</button>
+                    ${definition.declineLabel ? `<button type="button" class="form-decline">${definition.declineLabel}</button>` : ''}
+                </div>
+            </form>
+        `;
+        this.container.style.display = 'block';
+        window.scrollTo(0, 0);
+    }
+    
+    /**
+     * HTML for one question
+     * @param {Object} question - Expanded question
+     * @returns {string} HTML
+     */
+    renderQuestion(question) {
+        const name = `form-${question.id}`;
+        let input;
+        
+        switch (question.type) {
+            case 'radio':
+                input = question.options.map(option => `
+                    <label class="form-option">
+                        <input type="radio" name="${name}" value="${option.value}"> ${option.label}
+                    </label>`).join('');
+                break;
+            
+            case 'select':
+                input = `
+                    <select name="${name}">
+                        <option value="">Please select</option>
+                        ${question.options.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+                    </select>`;
+                break;
+            
+            case 'scale': {
+                const points = [];
+                for (let value = question.min; value <= question.max; value++) {
+                    points.push(`
+                        <label class="form-scale-point">
+                            <input type="radio" name="${name}" value="${value}"><span>${value}</span>
+                        </label>`);
+                }
+                input = `
+                    <div class="form-scale">
+                        <span class="form-scale-label">${question.minLabel || ''}</span>
+                        ${points.join('')}
+                        <span class="form-scale-label">${question.maxLabel || ''}</span>
+                    </div>`;
+                break;
+            }
+            
+            case 'number':
+                input = `<input type="number" name="${name}"${question.min !== undefined ? ` min="${question.min}"` : ''}${question.max !== undefined ? ` max="${question.max}"` : ''}>`;
+                break;
+            
+            case 'text':
+                input = `<input type="text" name="${name}"${question.maxLength ? ` maxlength="${question.maxLength}"` : ''}>`;
+                break;
+            
+            case 'textarea':
+                input = `<textarea name="${name}" rows="4"${question.maxLength ? ` maxlength="${question.maxLength}"` : ''}></textarea>`;
+                break;
+            
+            case 'checkbox':
+                return `
+                    <div class="form-question" data-question="${question.id}">
+                        <label class="form-option">
+                            <input type="checkbox" name="${name}"> ${question.label}
+                        </label>
+                        <div class="form-error"></div>
+                    </div>`;
+        }
+        
+        return `
+            <div class="form-question" data-question="${question.id}">
+                <p class="form-label">${question.label}${question.required ? '' : ' <span class="form-optional">(optional)</span>'}</p>
+                ${input}
+                <div class="form-error"></div>
+            </div>`;
+    }
+    
+    /**
+     * Read the current answers from the form
+     * @returns {Object} Answers keyed by question id (null when unanswered)
+     */
+    readAnswers() {
+        const form = this.container.querySelector('form');
+        const answers = {};
+        
+        for (const question of this.questions) {
+            const name = `form-${question.id}`;
+            let value;
+            if (question.type === 'checkbox') {
+                value = form.elements[name].checked;
+            } else if (question.type === 'radio' || question.type === 'scale') {
+                const checked = form.querySelector(`input[name="${name}"]:checked`);
+                value = checked ? checked.value : '';
+            } else {
+                value = form.elements[name].value.trim();
+            }
+            answers[question.id] = FormScreen.normalizeAnswer(question, value);
+        }
+        
+        return answers;
+    }
+    
+    /**
+     * Show validation messages next to the questions
+     * @param {Object} errors - Messages keyed by question id
+     */
+    showErrors(errors) {
+        for (const element of this.container.querySelectorAll('.form-question')) {
+            const message = errors[element.dataset.question] || '';
+            element.querySelector('.form-error').textContent = message;
+            element.classList.toggle('has-error', message !== '');
+        }
+        
+        const firstError = this.container.querySelector('.has-error');
+        if (firstError) {
+            firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+    
+    /**
+     * Convert a raw form value to the stored answer
+     * @param {Object} question - Question
+     * @param {string|boolean} value - Raw value
+     * @returns {*} Answer: number for number/scale, boolean for checkbox, null when empty
+     */
+    static normalizeAnswer(question, value) {
+        if (question.type === 'checkbox') {
+            return value === true;
+        }
+        if (value === '') {
+            return null;
+        }
+        if (question.type === 'number' || question.type === 'scale') {
+            const number = Number(value);
+            return isNaN(number) ? value : number;
+        }
+        return value;
+    }
+    
+    /**
+     * Validate answers against their questions
+     * @param {Array} questions - Expanded questions
+     * @param {Object} answers - Answers keyed by question id
+     * @returns {Object} Error messages keyed by question id (empty if all valid)
+     */
+    static validateAnswers(questions, answers) {
+        const errors = {};
+        
+        for (const question of questions) {
+            const value = answers[question.id];
+            
+            if (question.type === 'checkbox') {
+                if (question.required && value !== true) {
+                    errors[question.id] = 'Please tick this box to continue.';
+                }
+                continue;
+            }
+            
+            if (value === null || value === undefined) {
+                if (question.required) {
+                    errors[question.id] = 'Please answer this question.';
+                }
+                continue;
+            }
+            
+            switch (question.type) {
+                case 'radio':
+                case 'select':
+                    if (!question.options.some(option => String(option.value) === String(value))) {
+                        errors[question.id] = 'Please choose one of the options.';
+                    }
+                    break;
+                
+                case 'number':
+                case 'scale': {
+                    const inRange = typeof value === 'number' &&
+                        (question.min === undefined || value >= question.min) &&
+                        (question.max === undefined || value <= question.max);
+                    if (typeof value !== 'number' || (question.type === 'scale' && !Number.isInteger(value))) {
+                        errors[question.id] = 'Please enter a number.';
+                    } else if (!inRange) {
+                        errors[question.id] = question.min !== undefined && question.max !== undefined ?
+                            `Please enter a number between ${question.min} and ${question.max}.` :
+                            'This number is out of range.';
+                    }
+                    break;
+                }
+                
+                case 'text':
+                case 'textarea':
+                    if (question.maxLength && value.length > question.maxLength) {
+                        errors[question.id] = `Please keep your answer under ${question.maxLength} characters.`;
+                    }
+                    break;
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Turn the configured questions into the ones this participant is asked:
+     * drops questions for conditions they did not do and repeats perCondition
+     * questions for every condition
+     * @param {Array} questions - Questions from the config
+     * @param {Object} context - { conditionOrder } of the participant
+     * @returns {Array} Expanded questions
+     */
+    static expandQuestions(questions, context) {
+        const expanded = [];
+        
+        for (const question of questions) {
+            // Forms shown before condition assignment only use questions without a condition
+            if (!question.conditions && !question.perCondition) {
+                expanded.push(question);
+                continue;
+            }
+            
+            const conditions = context.conditionOrder.filter(condition =>
+                !question.conditions || question.conditions.includes(condition));
+            if (!conditions.length) {
+                continue;
+            }
+            
+            if (!question.perCondition) {
+                expanded.push(question);
+                continue;
+            }
+            
+            for (const condition of conditions) {
+                const part = context.conditionOrder.indexOf(condition) + 1;
+                expanded.push(Object.assign({}, question, {
+                    id: `${question.id}_${condition}`,
+                    label: question.label.replace('{part}', part),
+                    condition: condition
+                }));
+            }
+        }
+        
+        return expanded;
+    }
+    
+    /**
+     * Check a form definition for problems the config schema cannot express
+     * @param {Object} definition - Form definition
+     * @returns {Array} Error messages (empty if valid)
+     */
+    static checkDefinition(definition) {
+        const errors = [];
+        const ids = new Set();
+        
+        definition.questions.forEach((question, i) => {
+            const path = `questions[${i}]`;
+            if (ids.has(question.id)) {
+                errors.push(`${path}: duplicate question id "${question.id}"`);
+            }
+            ids.add(question.id);
+            
+            if ((question.type === 'radio' || question.type === 'select') && !(question.options && question.options.length)) {
+                errors.push(`${path}: ${question.type} questions need options`);
+            }
+            if (question.type === 'scale' && !(Number.isInteger(question.min) && Number.isInteger(question.max) && question.min < question.max)) {
+                errors.push(`${path}: scale questions need integer min < max`);
+            }
+        });
+        
+        return errors;
+    }
+}
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FormScreen };
+} else {
+    // Make available globally when used directly in browser
+    window.FormScreen = FormScreen;
+}
@@ -0,0 +1,129 @@
+/**
+ * Hazard Function Registry for the NeuroState Estimation Experiment
+ * A hazard function q(tau) gives the probability of a change point on a trial,
+ * given tau, the number of trials since the last change.
+ *
+ * Functions are selected with a spec object, e.g.
+ *   { type: 'constant', rate: 0.1 }
+ *   { type: 'logistic', slope: 1, midpoint: 10 }
+ */
+
+// In Node the companion scripts are not loaded as globals, so require them here
+if (typeof module !== 'undefined' && module.exports && typeof Registry === 'undefined') {
+    global.Registry = require('./registry.js').Registry;
+}
+
+/**
+ * Hazard function types are registered with HazardFunctions.register(type, definition)
+ * @param {Object} definition - Type definition
+ * @param {Object} definition.defaults - Default parameter values
+ * @param {Function} definition.validate - (params) => array of error messages
+ * @param {Function} definition.rate - (tau, params) => hazard rate
+ * @param {Function} definition.label - (params) => short human-readable label
+ * @param {Function} definition.settledFrom - Optional (params) => smallest tau from which the
+ *                                            rate no longer changes, or repeats with the period;
+ *                                            omitted if it never settles
+ * @param {Function} definition.period - Optional (params) => trials after which the settled rate
+ *                                       repeats (default: 1, the rate stays the same)
+ */
+class HazardFunctions extends Registry {
+    /**
+     * Create a hazard function from a spec
+     * @param {Object} spec - { type, ...params }
+     * @returns {Object} { type, params, label, settledFrom, period, rate(tau) }, where settledFrom
+     *                   is null if the rate keeps changing with tau
+     */
+    static create(spec) {
+        const { type, definition, params } = HazardFunctions.resolve(spec);
+        return {
+            type: type,
+            params: params,
+            label: `${type}(${definition.label(params)})`,
+            settledFrom: definition.settledFrom ? definition.settledFrom(params) : null,
+            period: definition.period ? definition.period(params) : 1,
+            rate: tau => definition.rate(tau, params)
+        };
+    }
+}
+
+HazardFunctions.types = {};
+HazardFunctions.kind = 'hazard function';
+
+// Constant hazard: q(tau) = rate (history-independent)
+HazardFunctions.register('constant', {
+    defaults: { rate: 0.1 },
+    validate: p => HazardFunctions.checkProbability('rate', p.rate),
+    rate: (tau, p) => p.rate,
+    label: p => `rate=${p.rate}`,
+    settledFrom: () => 0
+});
+
+// Logistic hazard: q(tau) = (1 + e^(-slope * (tau - midpoint)))^(-1)
+HazardFunctions.register('logistic', {
+    defaults: { slope: 1, midpoint: 10 },
+    validate: p => [
+        ...HazardFunctions.checkNumber('slope', p.slope),
+        ...HazardFunctions.checkNumber('midpoint', p.midpoint)
+    ],
+    rate: (tau, p) => 1 / (1 + Math.exp(-p.slope * (tau - p.midpoint))),
+    label: p => `slope=${p.slope}; midpoint=${p.midpoint}`,
+    // Within 1e-6 of its limit from here on
+    settledFrom: p => (p.slope === 0 ? 0 : Math.max(0, Math.ceil(p.midpoint + Math.log(1e6) / Math.abs(p.slope))))
+});
+
+// Step hazard: q(tau) = low for tau < threshold, high from threshold on.
+// With low = 0 and high = 1 the run length is deterministic.
+HazardFunctions.register('step', {
+    defaults: { threshold: 10, low: 0, high: 1 },
+    validate: p => [
+        ...(Number.isInteger(p.threshold) && p.threshold >= 0 ? [] :
+            [`threshold must be a non-negative integer (got ${JSON.stringify(p.threshold)})`]),
+        ...HazardFunctions.checkProbability('low', p.low),
+        ...HazardFunctions.checkProbability('high', p.high)
+    ],
+    rate: (tau, p) => (tau < p.threshold ? p.low : p.high),
+    label: p => `threshold=${p.threshold}; low=${p.low}; high=${p.high}`,
+    settledFrom: p => p.threshold
+});
+
+// Periodic hazard: q(tau) = mean + amplitude * cos(2 * pi * (tau - phase) / period), clipped to [0, 1].
+// The period is a whole number of trials, so the rate repeats exactly.
+HazardFunctions.register('periodic', {
+    defaults: { period: 10, mean: 0.1, amplitude: 0.1, phase: 0 },
+    validate: p => [
+        ...(Number.isInteger(p.period) && p.period >= 1 ? [] :
+            [`period must be a positive integer (got ${JSON.stringify(p.period)})`]),
+        ...HazardFunctions.checkProbability('mean', p.mean),
+        ...HazardFunctions.checkNumber('amplitude', p.amplitude),
+        ...HazardFunctions.checkNumber('phase', p.phase)
+    ],
+    rate: (tau, p) => {
+        const q = p.mean + p.amplitude * Math.cos(2 * Math.PI * (tau - p.phase) / p.period);
+        return Math.max(0, Math.min(1, q));
+    },
+    label: p => `period=${p.period}; mean=${p.mean}; amplitude=${p.amplitude}; phase=${p.phase}`,
+    settledFrom: () => 0,
+    period: p => p.period
+});
+
+// Tabulated hazard: q(tau) = values[tau]; the last value is used for larger tau
+HazardFunctions.register('tabulated', {
+    defaults: { values: [0.1] },
+    validate: p => {
+        if (!Array.isArray(p.values) || !p.values.length) {
+            return ['values must be a non-empty array of probabilities'];
+        }
+        return p.values.flatMap((v, i) => HazardFunctions.checkProbability(`values[${i}]`, v));
+    },
+    rate: (tau, p) => p.values[Math.min(tau, p.values.length - 1)],
+    label: p => `n=${p.values.length}`,
+    settledFrom: p => p.values.length - 1
+});
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HazardFunctions };
+} else {
+    // Make available globally when used directly in browser
+    window.HazardFunctions = HazardFunctions;
+}
@@ -0,0 +1,187 @@
+/**
+ * Likelihood Function Registry for the NeuroState Estimation Experiment
+ * A likelihood family g(x_t | s_t) gives the distribution of the observation
+ * around the hidden state. Every family is scaled by the likelihood width of
+ * the trial (stimulus.likelihoodHalfWidth, times the likelihoodScale of a
+ * tutorial phase), so the same spec works for every phase.
+ *
+ * Families are selected with a spec object, e.g.
+ *   { type: 'triangular' }
+ *   { type: 'gaussian', sd: 0.5 }
+ *   { type: 'outlier-mixture', outlierProbability: 0.05, outlierWidth: 5 }
+ */
+
+// In Node the companion scripts are not loaded as globals, so require them here
+if (typeof module !== 'undefined' && module.exports && typeof Registry === 'undefined') {
+    global.Registry = require('./registry.js').Registry;
+}
+
+/**
+ * Likelihood family types are registered with LikelihoodFunctions.register(type, definition)
+ * @param {Object} definition - Family definition; c is the center (the hidden
+ *                              state) and w the likelihood width
+ * @param {Object} definition.defaults - Default parameter values
+ * @param {Function} definition.validate - (params) => array of error messages
+ * @param {Function} definition.sample - (c, w, rng, params) => observation
+ * @param {Function} definition.pdf - (x, c, w, params) => density at x
+ * @param {Function} definition.cdf - (x, c, w, params) => P(observation <= x)
+ * @param {Function} definition.sd - (w, params) => standard deviation
+ * @param {Function} definition.reach - (w, params) => largest distance from c with non-negligible density
+ * @param {Function} definition.label - (params) => short human-readable label
+ */
+class LikelihoodFunctions extends Registry {
+    /**
+     * Create a likelihood function from a spec
+     * @param {Object} spec - { type, ...params }
+     * @returns {Object} { type, params, label, sample(center, width, rng), pdf(x, center, width),
+     *                   cdf(x, center, width), sd(width), reach(width) }
+     */
+    static create(spec) {
+        const { type, definition, params } = LikelihoodFunctions.resolve(spec);
+        const label = definition.label(params);
+        return {
+            type: type,
+            params: params,
+            label: label ? `${type}(${label})` : type,
+            sample: (center, width, rng) => definition.sample(center, width, rng, params),
+            pdf: (x, center, width) => definition.pdf(x, center, width, params),
+            cdf: (x, center, width) => definition.cdf(x, center, width, params),
+            sd: width => definition.sd(width, params),
+            reach: width => definition.reach(width, params)
+        };
+    }
+    
+    /**
+     * Uniform draw strictly inside (0, 1), for inverse-CDF sampling with logarithms
+     * @param {SeededRandom} rng - Random number generator
+     * @returns {number} Draw
+     */
+    static openUniform(rng) {
+        let u = rng.random();
+        while (u === 0) {
+            u = rng.random();
+        }
+        return u;
+    }
+    
+    /**
+     * Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+     * @param {number} z - Point at which to evaluate the CDF
+     * @returns {number} P(Z <= z)
+     */
+    static normalCDF(z) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+        const erfc = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+            Math.exp(-z * z / 2);
+        return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+    }
+}
+
+LikelihoodFunctions.types = {};
+LikelihoodFunctions.kind = 'likelihood';
+
+// Triangular with half-width w (the original likelihood). Sampled with a single
+// draw, so that default sequences are unchanged.
+LikelihoodFunctions.register('triangular', {
+    defaults: {},
+    validate: () => [],
+    sample: (c, w, rng) => {
+        const u = rng.random();
+        return u < 0.5 ? c - w + w * Math.sqrt(2 * u) : c + w - w * Math.sqrt(2 * (1 - u));
+    },
+    pdf: (x, c, w) => Math.max(0, w - Math.abs(x - c)) / (w * w),
+    cdf: (x, c, w) => {
+        const z = (x - c) / w;
+        if (z <= -1) return 0;
+        if (z >= 1) return 1;
+        return z <= 0 ? 0.5 * (1 + z) * (1 + z) : 1 - 0.5 * (1 - z) * (1 - z);
+    },
+    sd: w => w / Math.sqrt(6),
+    reach: w => w,
+    label: () => ''
+});
+
+// Gaussian with SD sd * w; the default SD equals that of the triangular likelihood
+LikelihoodFunctions.register('gaussian', {
+    defaults: { sd: 0.408 },
+    validate: p => LikelihoodFunctions.checkPositive('sd', p.sd),
+    // Box-Muller transform
+    sample: (c, w, rng, p) => {
+        const u = LikelihoodFunctions.openUniform(rng);
+        const v = rng.random();
+        return c + p.sd * w * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+    pdf: (x, c, w, p) => Math.exp(-0.5 * ((x - c) / (p.sd * w)) ** 2) / (p.sd * w * Math.sqrt(2 * Math.PI)),
+    cdf: (x, c, w, p) => LikelihoodFunctions.normalCDF((x - c) / (p.sd * w)),
+    sd: (w, p) => p.sd * w,
+    reach: (w, p) => 8 * p.sd * w,
+    label: p => `sd=${p.sd}`
+});
+
+// Uniform over [c - w, c + w]
+LikelihoodFunctions.register('uniform', {
+    defaults: {},
+    validate: () => [],
+    sample: (c, w, rng) => c - w + 2 * w * rng.random(),
+    pdf: (x, c, w) => (Math.abs(x - c) <= w ? 0.5 / w : 0),
+    cdf: (x, c, w) => Math.max(0, Math.min(1, (x - c + w) / (2 * w))),
+    sd: w => w / Math.sqrt(3),
+    reach: w => w,
+    label: () => ''
+});
+
+// Laplace (heavy-tailed) with scale b = scale * w; the default SD equals that of the triangular likelihood
+LikelihoodFunctions.register('laplace', {
+    defaults: { scale: 0.289 },
+    validate: p => LikelihoodFunctions.checkPositive('scale', p.scale),
+    sample: (c, w, rng, p) => {
+        const u = LikelihoodFunctions.openUniform(rng);
+        const b = p.scale * w;
+        return u < 0.5 ? c + b * Math.log(2 * u) : c - b * Math.log(2 * (1 - u));
+    },
+    pdf: (x, c, w, p) => Math.exp(-Math.abs(x - c) / (p.scale * w)) / (2 * p.scale * w),
+    cdf: (x, c, w, p) => {
+        const b = p.scale * w;
+        return x < c ? 0.5 * Math.exp((x - c) / b) : 1 - 0.5 * Math.exp(-(x - c) / b);
+    },
+    sd: (w, p) => Math.SQRT2 * p.scale * w,
+    reach: (w, p) => 40 * p.scale * w,
+    label: p => `scale=${p.scale}`
+});
+
+// Triangular likelihood, except that with probability outlierProbability the
+// observation is an outlier, uniform over [c - outlierWidth * w, c + outlierWidth * w]
+LikelihoodFunctions.register('outlier-mixture', {
+    defaults: { outlierProbability: 0.05, outlierWidth: 5 },
+    validate: p => [
+        ...LikelihoodFunctions.checkProbability('outlierProbability', p.outlierProbability),
+        ...LikelihoodFunctions.checkPositive('outlierWidth', p.outlierWidth)
+    ],
+    sample: (c, w, rng, p) => {
+        const { triangular, uniform } = LikelihoodFunctions.types;
+        return rng.random() < p.outlierProbability ?
+            uniform.sample(c, p.outlierWidth * w, rng) :
+            triangular.sample(c, w, rng);
+    },
+    pdf: (x, c, w, p) => {
+        const { triangular, uniform } = LikelihoodFunctions.types;
+        return (1 - p.outlierProbability) * triangular.pdf(x, c, w) +
+            p.outlierProbability * uniform.pdf(x, c, p.outlierWidth * w);
+    },
+    cdf: (x, c, w, p) => {
+        const { triangular, uniform } = LikelihoodFunctions.types;
+        return (1 - p.outlierProbability) * triangular.cdf(x, c, w) +
+            p.outlierProbability * uniform.cdf(x, c, p.outlierWidth * w);
+    },
+    sd: (w, p) => w * Math.sqrt((1 - p.outlierProbability) / 6 + p.outlierProbability * p.outlierWidth ** 2 / 3),
+    reach: (w, p) => Math.max(1, p.outlierWidth) * w,
+    label: p => `outlierProbability=${p.outlierProbability}; outlierWidth=${p.outlierWidth}`
+});
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LikelihoodFunctions };
+} else {
+    // Make available globally when used directly in browser
+    window.LikelihoodFunctions = LikelihoodFunctions;
+}
@@ -0,0 +1,340 @@
+/**
+ * Participant Quality Control for the NeuroState Estimation Task
+ * Logs tab switches, focus changes, fullscreen changes and idle periods while
+ * the task runs, flags suspicious responses on every trial, and summarizes both
+ * into a per-participant QC summary with exclusion flags.
+ *
+ * Logged events ({ type, start_ms, duration_ms } on the performance.now() clock):
+ *   hidden          - The page was hidden (tab switch, minimized window)
+ *   blur            - The window lost focus
+ *   idle            - No pointer or keyboard input for idleThreshold seconds while a response was awaited
+ *   fullscreen-exit / fullscreen-enter - Fullscreen changes (duration_ms is null)
+ */
+
+class QualityMonitor {
+    /**
+     * @param {Object} options - The `qualityControl` section of ExperimentConfig
+     * @param {Function} onEvent - Called with every logged event
+     * @param {Function} isAwaitingResponse - () => whether a response is awaited; idle time only counts then
+     */
+    constructor(options, onEvent, isAwaitingResponse) {
+        this.options = options;
+        this.onEvent = onEvent;
+        this.isAwaitingResponse = isAwaitingResponse;
+        this.running = false;
+        this.hiddenSince = null;
+        this.blurredSince = null;
+        this.lastActivity = null;
+        this.idleSince = null;
+        this.idleTimer = null;
+        
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        this.handleFocus = this.handleFocus.bind(this);
+        this.handleFullscreenChange = this.handleFullscreenChange.bind(this);
+        this.handleActivity = this.handleActivity.bind(this);
+    }
+    
+    /**
+     * Start monitoring
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.lastActivity = performance.now();
+        
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+        window.addEventListener('blur', this.handleBlur);
+        window.addEventListener('focus', this.handleFocus);
+        for (const type of QualityMonitor.ACTIVITY_EVENTS) {
+            document.addEventListener(type, this.handleActivity, { passive: true });
+        }
+        this.idleTimer = setInterval(() => this.checkIdle(), 1000);
+    }
+    
+    /**
+     * Stop monitoring, closing any open hidden, blur or idle period
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        
+        const now = performance.now();
+        this.endHidden(now);
+        this.endBlur(now);
+        this.endIdle(now);
+        
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+        window.removeEventListener('blur', this.handleBlur);
+        window.removeEventListener('focus', this.handleFocus);
+        for (const type of QualityMonitor.ACTIVITY_EVENTS) {
+            document.removeEventListener(type, this.handleActivity);
+        }
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+        this.running = false;
+    }
+    
+    /**
+     * Ask the browser for fullscreen. Must be called from a click handler.
+     */
+    requestFullscreen() {
+        if (!this.options.requestFullscreen || this.isFullscreen() || !document.documentElement.requestFullscreen) {
+            return;
+        }
+        document.documentElement.requestFullscreen().catch(error => {
+            console.warn(`Fullscreen was refused: ${error.message}`);
+        });
+    }
+    
+    /**
+     * @returns {boolean} Whether the page is shown in fullscreen
+     */
+    isFullscreen() {
+        return Boolean(document.fullscreenElement);
+    }
+    
+    /**
+     * Track hidden periods of the page
+     */
+    handleVisibilityChange() {
+        const now = performance.now();
+        if (document.visibilityState === 'hidden') {
+            this.hiddenSince = now;
+        } else {
+            this.endHidden(now);
+        }
+    }
+    
+    /**
+     * Start of a period without focus
+     */
+    handleBlur() {
+        this.blurredSince = performance.now();
+    }
+    
+    /**
+     * End of a period without focus
+     */
+    handleFocus() {
+        this.endBlur(performance.now());
+    }
+    
+    /**
+     * Log fullscreen changes
+     */
+    handleFullscreenChange() {
+        this.log(this.isFullscreen() ? 'fullscreen-enter' : 'fullscreen-exit', performance.now(), null);
+    }
+    
+    /**
+     * Pointer or keyboard input
+     */
+    handleActivity() {
+        const now = performance.now();
+        this.endIdle(now);
+        this.lastActivity = now;
+    }
+    
+    /**
+     * Start an idle period once there has been no input for idleThreshold seconds.
+     * The idle clock only runs while a response is awaited.
+     */
+    checkIdle() {
+        const now = performance.now();
+        if (!this.isAwaitingResponse()) {
+            this.lastActivity = now;
+            return;
+        }
+        if (this.idleSince === null && now - this.lastActivity >= this.options.idleThreshold * 1000) {
+            this.idleSince = this.lastActivity;
+        }
+    }
+    
+    /**
+     * Log the hidden period that ends now, if any
+     * @param {number} now - Timestamp (performance.now() clock)
+     */
+    endHidden(now) {
+        if (this.hiddenSince !== null) {
+            this.log('hidden', this.hiddenSince, now - this.hiddenSince);
+            this.hiddenSince = null;
+        }
+    }
+    
+    /**
+     * Log the period without focus that ends now, if any
+     * @param {number} now - Timestamp (performance.now() clock)
+     */
+    endBlur(now) {
+        if (this.blurredSince !== null) {
+            this.log('blur', this.blurredSince, now - this.blurredSince);
+            this.blurredSince = null;
+        }
+    }
+    
+    /**
+     * Log the idle period that ends now, if any
+     * @param {number} now - Timestamp (performance.now() clock)
+     */
+    endIdle(now) {
+        if (this.idleSince !== null) {
+            this.log('idle', this.idleSince, now - this.idleSince);
+            this.idleSince = null;
+        }
+    }
+    
+    /**
+     * Pass an event to the experiment
+     * @param {string} type - Event type
+     * @param {number} start - Start timestamp (performance.now() clock)
+     * @param {number|null} duration - Duration in ms (null for instantaneous events)
+     */
+    log(type, start, duration) {
+        this.onEvent({
+            type: type,
+            start_ms: start,
+            duration_ms: duration === null ? null : Math.round(duration)
+        });
+    }
+    
+    /**
+     * QC flags for one response
+     * @param {Object} response - Response to assess
+     * @param {number} response.click - Click position (state units)
+     * @param {number} response.rt - Reaction time (ms)
+     * @param {number|null} response.previousClick - Click on the previous trial (null on the first)
+     * @param {Array} response.observations - The last farHistory observations, including the current one
+     * @param {number} response.stateRange - Size of the state space
+     * @param {boolean} response.circular - Whether the state space wraps around (distances are
+     *                                      measured the shortest way round and it has no edges)
+     * @param {Object} options - The `qualityControl` section of ExperimentConfig
+     * @returns {Object} Trial columns: too_fast_flag, repeated_click_flag, out_of_range_flag,
+     *                   nearest_observation_distance, far_click_flag
+     */
+    static assessResponse(response, options) {
+        const distance = (a, b) => {
+            const d = Math.abs(a - b) % response.stateRange;
+            return response.circular ? Math.min(d, response.stateRange - d) : Math.abs(a - b);
+        };
+        const nearest = Math.min(...response.observations.map(observation => distance(response.click, observation)));
+        
+        return {
+            too_fast_flag: response.rt < options.minRT,
+            repeated_click_flag: response.previousClick !== null &&
+                distance(response.click, response.previousClick) <= options.repeatTolerance,
+            out_of_range_flag: !response.circular && (response.click < options.edgeMargin ||
+                response.click > response.stateRange - options.edgeMargin),
+            nearest_observation_distance: nearest,
+            far_click_flag: nearest > options.farDistance
+        };
+    }
+    
+    /**
+     * Per-participant QC summary of the main-experiment trials, the catch trials and the logged events
+     * @param {Object} data - Experiment data with trials and qcEvents
+     * @param {Object} options - The `qualityControl` section of ExperimentConfig
+     * @returns {Object} Measures, the exclusion criteria not met (flags) and whether to exclude
+     */
+    static summarize(data, options) {
+        const trials = data.trials.filter(trial => trial.tutorial_phase === null && !trial.catch_trial_flag);
+        const catchTrials = data.trials.filter(trial => trial.catch_trial_flag);
+        const events = data.qcEvents || [];
+        const count = type => events.filter(event => event.type === type).length;
+        const seconds = type => events.filter(event => event.type === type)
+            .reduce((sum, event) => sum + event.duration_ms, 0) / 1000;
+        const proportion = flag => trials.length ?
+            trials.filter(trial => trial[flag]).length / trials.length : 0;
+        
+        const measures = {
+            trialsAssessed: trials.length,
+            hiddenCount: count('hidden'),
+            hiddenSeconds: seconds('hidden'),
+            blurCount: count('blur'),
+            blurSeconds: seconds('blur'),
+            fullscreenExits: count('fullscreen-exit'),
+            idleCount: count('idle'),
+            idleSeconds: seconds('idle'),
+            tooFastProportion: proportion('too_fast_flag'),
+            // A run of n repeated-click flags is n + 1 clicks at the same place
+            identicalRun: trials.length ? QualityMonitor.longestRun(trials, 'repeated_click_flag') + 1 : 0,
+            outOfRangeRun: QualityMonitor.longestRun(trials, 'out_of_range_flag'),
+            farProportion: proportion('far_click_flag'),
+            // Attention score: proportion of catch trials passed (null without catch trials)
+            catchTrials: catchTrials.length,
+            catchPassed: catchTrials.filter(trial => trial.catch_passed).length,
+            attentionScore: catchTrials.length ?
+                catchTrials.filter(trial => trial.catch_passed).length / catchTrials.length : null
+        };
+        
+        const flags = [];
+        for (const [criterion, [measure, limit]] of Object.entries(QualityMonitor.criteria(options.exclusion))) {
+            const value = measures[measure];
+            if (limit === null || value === null) {
+                continue;
+            }
+            // min* criteria are lower limits, max* criteria upper limits
+            if (criterion.startsWith('min') ? value < limit : value > limit) {
+                flags.push({ criterion: criterion, value: value, limit: limit });
+            }
+        }
+        
+        return {
+            measures: measures,
+            flags: flags,
+            exclude: flags.length > 0,
+            computedAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Pair each exclusion criterion with the measure it limits
+     * @param {Object} exclusion - The `qualityControl.exclusion` section
+     * @returns {Object} criterion -> [measure, limit]
+     */
+    static criteria(exclusion) {
+        return {
+            maxHiddenCount: ['hiddenCount', exclusion.maxHiddenCount],
+            maxHiddenSeconds: ['hiddenSeconds', exclusion.maxHiddenSeconds],
+            maxFullscreenExits: ['fullscreenExits', exclusion.maxFullscreenExits],
+            maxIdleCount: ['idleCount', exclusion.maxIdleCount],
+            maxTooFastProportion: ['tooFastProportion', exclusion.maxTooFastProportion],
+            maxIdenticalRun: ['identicalRun', exclusion.maxIdenticalRun],
+            maxOutOfRangeRun: ['outOfRangeRun', exclusion.maxOutOfRangeRun],
+            maxFarProportion: ['farProportion', exclusion.maxFarProportion],
+            minAttentionScore: ['attentionScore', exclusion.minAttentionScore]
+        };
+    }
+    
+    /**
+     * Longest run of consecutive trials with a flag set
+     * @param {Array} trials - Trial rows
+     * @param {string} flag - Column name
+     * @returns {number} Run length
+     */
+    static longestRun(trials, flag) {
+        let longest = 0;
+        let current = 0;
+        for (const trial of trials) {
+            current = trial[flag] ? current + 1 : 0;
+            longest = Math.max(longest, current);
+        }
+        return longest;
+    }
+}
+
+// Input that ends an idle period
+QualityMonitor.ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart'];
+
+// Export for use in analysis scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QualityMonitor };
+} else {
+    // Make available globally when used directly in browser
+    window.QualityMonitor = QualityMonitor;
+}
@@ -0,0 +1,234 @@
+/**
+ * Recruitment Platform Integration for the NeuroState Estimation Task
+ * Reads the participant identity passed by Prolific or MTurk in the URL, keeps
+ * participants from taking part twice, and sends them back to the platform
+ * with a completion code at the end.
+ */
+
+class Recruitment {
+    /**
+     * @param {Object} options - The `recruitment` section of ExperimentConfig
+     * @param {string} search - URL query string (default: window.location.search)
+     */
+    constructor(options, search = window.location.search) {
+        this.options = options;
+        const urlParams = new URLSearchParams(search);
+        
+        this.platform = this.detectPlatform(urlParams);
+        this.params = {};
+        if (this.platform !== 'none') {
+            for (const name of Recruitment.PLATFORMS[this.platform].params) {
+                if (urlParams.has(name)) {
+                    this.params[name] = urlParams.get(name);
+                }
+            }
+        }
+        
+        this.participantID = this.platform === 'none' ?
+            null : this.params[Recruitment.PLATFORMS[this.platform].idParam] || null;
+        
+        if (this.participantID !== null && !/^[A-Za-z0-9_-]+$/.test(this.participantID)) {
+            throw new Error(`Invalid participant ID "${this.participantID}" in the URL`);
+        }
+        // MTurk previews carry no worker ID; they are turned away by showStartScreen()
+        if (this.participantID === null && options.requirePlatformID && !this.isPreview()) {
+            throw new Error('This study must be opened through the recruitment platform ' +
+                '(the participant ID is missing from the URL)');
+        }
+    }
+    
+    /**
+     * Work out which platform sent the participant, from any of its URL
+     * parameters (MTurk previews have an assignmentId, hitId and turkSubmitTo
+     * but no workerId)
+     * @param {URLSearchParams} urlParams - Page URL parameters
+     * @returns {string} 'prolific', 'mturk' or 'none'
+     */
+    detectPlatform(urlParams) {
+        if (this.options.platform !== 'auto') {
+            return this.options.platform;
+        }
+        
+        const detected = Object.keys(Recruitment.PLATFORMS)
+            .find(platform => Recruitment.PLATFORMS[platform].params.some(name => urlParams.has(name)));
+        return detected || 'none';
+    }
+    
+    /**
+     * Whether an MTurk worker is previewing the HIT without having accepted it
+     * @returns {boolean} True in preview mode
+     */
+    isPreview() {
+        return this.platform === 'mturk' && this.params.assignmentId === 'ASSIGNMENT_ID_NOT_AVAILABLE';
+    }
+    
+    /**
+     * Whether this participant has already taken part, according to this browser
+     * and (if configured) the server
+     * @returns {Promise<boolean>} True for repeat participants
+     */
+    async hasParticipated() {
+        if (!this.participantID || !this.options.blockRepeatParticipation) {
+            return false;
+        }
+        
+        if (this.loadParticipants().includes(this.participantID)) {
+            return true;
+        }
+        
+        const endpoint = this.options.repeatCheckEndpoint;
+        if (!endpoint) {
+            return false;
+        }
+        
+        try {
+            const response = await fetch(`${endpoint}/${encodeURIComponent(this.participantID)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const result = await response.json();
+            return result.participated === true;
+        } catch (error) {
+            // Do not turn participants away because the check itself failed
+            console.warn(`Could not check for repeat participation: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Remember in this browser that the participant has started the study
+     */
+    markParticipating() {
+        if (!this.participantID) {
+            return;
+        }
+        
+        const participants = this.loadParticipants();
+        if (!participants.includes(this.participantID)) {
+            participants.push(this.participantID);
+            try {
+                localStorage.setItem(Recruitment.STORAGE_KEY, JSON.stringify(participants));
+            } catch (error) {
+                console.warn(`Could not record participation: ${error.message}`);
+            }
+        }
+    }
+    
+    /**
+     * @returns {Array} Participant IDs that have started the study in this browser
+     */
+    loadParticipants() {
+        try {
+            const participants = JSON.parse(localStorage.getItem(Recruitment.STORAGE_KEY));
+            return Array.isArray(participants) ? participants : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    /**
+     * @param {string} outcome - 'completed' or 'screened-out'
+     * @returns {string|null} Code to report to the platform
+     */
+    getCompletionCode(outcome) {
+        return outcome === 'screened-out' ? this.options.screenedOutCode : this.options.completionCode;
+    }
+    
+    /**
+     * URL to send the participant to at the end
+     * @param {string} outcome - 'completed' or 'screened-out'
+     * @returns {string|null} Redirect URL, or null if there is nowhere to go
+     */
+    getRedirectURL(outcome) {
+        const code = this.getCompletionCode(outcome);
+        
+        if (this.platform === 'mturk') {
+            // Handled by submitToMTurk(); the HIT is submitted with a form POST
+            return this.params.turkSubmitTo ? `${this.params.turkSubmitTo}/mturk/externalSubmit` : null;
+        }
+        
+        const template = this.options.completionURL ||
+            (this.platform === 'prolific' ? Recruitment.PROLIFIC_COMPLETION_URL : null);
+        if (!template || (template.includes('{code}') && !code)) {
+            return null;
+        }
+        return template.replace('{code}', encodeURIComponent(code || ''));
+    }
+    
+    /**
+     * Send the participant back to the platform
+     * @param {string} outcome - 'completed' or 'screened-out'
+     * @returns {boolean} Whether a redirect was started
+     */
+    redirect(outcome) {
+        const url = this.getRedirectURL(outcome);
+        if (!url) {
+            return false;
+        }
+        
+        if (this.platform === 'mturk') {
+            this.submitToMTurk(url, outcome);
+        } else {
+            window.location.href = url;
+        }
+        return true;
+    }
+    
+    /**
+     * Submit the HIT: MTurk expects a POST with the assignment ID
+     * @param {string} url - externalSubmit URL
+     * @param {string} outcome - 'completed' or 'screened-out'
+     */
+    submitToMTurk(url, outcome) {
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = url;
+        
+        const fields = {
+            assignmentId: this.params.assignmentId,
+            completionCode: this.getCompletionCode(outcome) || '',
+            outcome: outcome
+        };
+        for (const [name, value] of Object.entries(fields)) {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.value = value;
+            form.appendChild(input);
+        }
+        
+        document.body.appendChild(form);
+        form.submit();
+    }
+    
+    /**
+     * Platform details saved with the experiment data
+     * @returns {Object} Platform and its URL parameters
+     */
+    getMetadata() {
+        return {
+            platform: this.platform,
+            params: this.params
+        };
+    }
+}
+
+// URL parameters passed by each platform; idParam identifies the participant
+Recruitment.PLATFORMS = {
+    prolific: {
+        idParam: 'PROLIFIC_PID',
+        params: ['PROLIFIC_PID', 'STUDY_ID', 'SESSION_ID']
+    },
+    mturk: {
+        idParam: 'workerId',
+        params: ['workerId', 'assignmentId', 'hitId', 'turkSubmitTo']
+    }
+};
+
+Recruitment.PROLIFIC_COMPLETION_URL = 'https://app.prolific.com/submissions/complete?cc={code}';
+
+// localStorage key for the IDs that have started the study in this browser
+Recruitment.STORAGE_KEY = 'neurostate-participants';
+
+// Make available globally
+window.Recruitment = Recruitment;
@@ -0,0 +1,99 @@
+/**
+ * Registry base class for the NeuroState Estimation Experiment
+ * Hazard functions, likelihood families, transition kernels and scoring rules
+ * are all named types with default parameters, selected with a spec object
+ * such as { type: 'constant', rate: 0.1 }. Each of them extends Registry,
+ * which keeps the registered types and checks specs against them, and
+ * provides the parameter checks used by the type definitions.
+ *
+ * A subclass sets its own `types` object and a `kind` used in error messages,
+ * and builds its objects in create() from the output of resolve().
+ */
+
+class Registry {
+    /**
+     * Register a named type
+     * @param {string} type - Name used in specs
+     * @param {Object} definition - Type definition, with at least `defaults` and
+     *                              `validate` (params => array of error messages)
+     */
+    static register(type, definition) {
+        this.types[type] = definition;
+    }
+    
+    /**
+     * List the registered types
+     * @returns {Array} Type names
+     */
+    static list() {
+        return Object.keys(this.types);
+    }
+    
+    /**
+     * Look up the definition of a spec and merge its parameters onto the defaults
+     * @param {Object} spec - { type, ...params }
+     * @returns {Object} { type, definition, params }
+     * @throws {Error} If the type is unknown or the parameters are invalid
+     */
+    static resolve(spec) {
+        const { type, ...overrides } = spec || {};
+        const definition = this.types[type];
+        
+        if (!definition) {
+            throw new Error(`Unknown ${this.kind} type "${type}". Available: ${this.list().join(', ')}`);
+        }
+        
+        const params = Object.assign({}, definition.defaults, overrides);
+        const errors = definition.validate(params);
+        if (errors.length) {
+            throw new Error(`Invalid parameters for ${this.kind} "${type}": ${errors.join('; ')}`);
+        }
+        
+        return { type: type, definition: definition, params: params };
+    }
+    
+    /**
+     * Check that a value is a probability
+     * @param {string} name - Parameter name, for the error message
+     * @param {*} value - Value to check
+     * @returns {Array} Error messages (empty if valid)
+     */
+    static checkProbability(name, value) {
+        if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+            return [`${name} must be a number in [0, 1] (got ${JSON.stringify(value)})`];
+        }
+        return [];
+    }
+    
+    /**
+     * Check that a value is a finite number, optionally strictly positive
+     * @param {string} name - Parameter name, for the error message
+     * @param {*} value - Value to check
+     * @param {boolean} positive - Whether the value must be > 0
+     * @returns {Array} Error messages (empty if valid)
+     */
+    static checkNumber(name, value, positive = false) {
+        if (typeof value !== 'number' || !isFinite(value) || (positive && value <= 0)) {
+            return [`${name} must be a ${positive ? 'positive' : 'finite'} number (got ${JSON.stringify(value)})`];
+        }
+        return [];
+    }
+    
+    /**
+     * Check that a value is a positive finite number
+     * @param {string} name - Parameter name, for the error message
+     * @param {*} value - Value to check
+     * @returns {Array} Error messages (empty if valid)
+     */
+    static checkPositive(name, value) {
+        return Registry.checkNumber(name, value, true);
+    }
+}
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Registry };
+} else {
+    // Make available globally when used directly in browser
+    window.Registry = Registry;
+}
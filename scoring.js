@@ -0,0 +1,135 @@
+/**
+ * Scoring Rules for the NeuroState Estimation Task
+ * A scoring rule maps the distance between the participant's estimate and the
+ * true state to the points awarded on a trial. Rules are selected with a spec
+ * object, e.g.
+ *   { type: 'radius-step', steps: [{ maxDistance: 10, points: 1 }, { maxDistance: 20, points: 0.25 }] }
+ *   { type: 'gaussian', maxPoints: 100, sigma: 15 }
+ */
+
+// In Node the companion scripts are not loaded as globals, so require them here
+if (typeof module !== 'undefined' && module.exports && typeof Registry === 'undefined') {
+    global.Registry = require('./registry.js').Registry;
+}
+
+/**
+ * Scoring rule types are registered with ScoringRules.register(type, definition)
+ * @param {Object} definition - Type definition
+ * @param {Object} definition.defaults - Default parameter values
+ * @param {Function} definition.validate - (params) => array of error messages
+ * @param {Function} definition.points - (distance, params) => points awarded
+ * @param {Function} definition.maxPoints - (params) => points for a perfect estimate
+ * @param {Function} definition.label - (params) => short human-readable label
+ */
+class ScoringRules extends Registry {
+    /**
+     * Create a scoring rule from a spec
+     * @param {Object} spec - { type, ...params }
+     * @returns {Object} { type, params, label, maxPoints, points(distance) }
+     */
+    static create(spec) {
+        const { type, definition, params } = ScoringRules.resolve(spec);
+        return {
+            type: type,
+            params: params,
+            label: `${type}(${definition.label(params)})`,
+            maxPoints: definition.maxPoints(params),
+            points: distance => definition.points(Math.abs(distance), params)
+        };
+    }
+    
+    /**
+     * Convert a final score into a monetary bonus
+     * @param {number} score - Points earned on the trials that count for the bonus
+     * @param {Object} bonusConfig - The `scoring.bonus` section of ExperimentConfig
+     * @returns {number} Bonus amount, rounded to cents and clipped to [minAmount, maxAmount]
+     */
+    static calculateBonus(score, bonusConfig) {
+        const raw = score * bonusConfig.amountPerPoint;
+        const clipped = Math.max(bonusConfig.minAmount, Math.min(bonusConfig.maxAmount, raw));
+        return Math.round(clipped * 100) / 100;
+    }
+    
+    /**
+     * Round a score for display (scores can be fractional)
+     * @param {number} score - Score
+     * @returns {number} Score rounded to 2 decimals
+     */
+    static formatScore(score) {
+        return Math.round(score * 100) / 100;
+    }
+}
+
+ScoringRules.types = {};
+ScoringRules.kind = 'scoring rule';
+
+// Radius-step scoring from the paper: 1 point within 10 units, 0.25 within 20, 0 otherwise
+ScoringRules.register('radius-step', {
+    defaults: { steps: [{ maxDistance: 10, points: 1 }, { maxDistance: 20, points: 0.25 }] },
+    validate: p => {
+        if (!Array.isArray(p.steps) || !p.steps.length) {
+            return ['steps must be a non-empty array of { maxDistance, points }'];
+        }
+        const errors = [];
+        p.steps.forEach((step, i) => {
+            errors.push(...ScoringRules.checkPositive(`steps[${i}].maxDistance`, step.maxDistance));
+            if (typeof step.points !== 'number' || step.points < 0) {
+                errors.push(`steps[${i}].points must be a non-negative number (got ${JSON.stringify(step.points)})`);
+            }
+            if (i > 0 && step.maxDistance <= p.steps[i - 1].maxDistance) {
+                errors.push('steps must be sorted by increasing maxDistance');
+            }
+        });
+        return errors;
+    },
+    points: (distance, p) => {
+        const step = p.steps.find(s => distance <= s.maxDistance);
+        return step ? step.points : 0;
+    },
+    maxPoints: p => Math.max(...p.steps.map(step => step.points)),
+    label: p => p.steps.map(step => `<=${step.maxDistance}: ${step.points}`).join('; ')
+});
+
+// Linear scoring: maxPoints for a perfect estimate, minus pointsLostPerUnit per unit of distance
+ScoringRules.register('linear', {
+    defaults: { maxPoints: 100, pointsLostPerUnit: 2 },
+    validate: p => [
+        ...ScoringRules.checkPositive('maxPoints', p.maxPoints),
+        ...ScoringRules.checkPositive('pointsLostPerUnit', p.pointsLostPerUnit)
+    ],
+    points: (distance, p) => Math.max(0, p.maxPoints - distance * p.pointsLostPerUnit),
+    maxPoints: p => p.maxPoints,
+    label: p => `maxPoints=${p.maxPoints}; pointsLostPerUnit=${p.pointsLostPerUnit}`
+});
+
+// Quadratic scoring: maxPoints * (1 - (distance / maxDistance)^2), 0 beyond maxDistance
+ScoringRules.register('quadratic', {
+    defaults: { maxPoints: 100, maxDistance: 50 },
+    validate: p => [
+        ...ScoringRules.checkPositive('maxPoints', p.maxPoints),
+        ...ScoringRules.checkPositive('maxDistance', p.maxDistance)
+    ],
+    points: (distance, p) => p.maxPoints * Math.max(0, 1 - Math.pow(distance / p.maxDistance, 2)),
+    maxPoints: p => p.maxPoints,
+    label: p => `maxPoints=${p.maxPoints}; maxDistance=${p.maxDistance}`
+});
+
+// Gaussian scoring: maxPoints * exp(-distance^2 / (2 * sigma^2))
+ScoringRules.register('gaussian', {
+    defaults: { maxPoints: 100, sigma: 15 },
+    validate: p => [
+        ...ScoringRules.checkPositive('maxPoints', p.maxPoints),
+        ...ScoringRules.checkPositive('sigma', p.sigma)
+    ],
+    points: (distance, p) => p.maxPoints * Math.exp(-(distance * distance) / (2 * p.sigma * p.sigma)),
+    maxPoints: p => p.maxPoints,
+    label: p => `maxPoints=${p.maxPoints}; sigma=${p.sigma}`
+});
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoringRules };
+} else {
+    // Make available globally when used directly in browser
+    window.ScoringRules = ScoringRules;
+}
@@ -0,0 +1,234 @@
+/**
+ * Constrained Sequence Generation for the NeuroState Estimation Task
+ * A single seeded draw gives sequences whose number of change points, state
+ * coverage and difficulty vary with the seed and the trial count. Constrained
+ * generation tries candidate seeds until the main sequences meet every
+ * constraint that is set in the `sequenceConstraints` section of the config:
+ *
+ * - changesPerHundred: change points per 100 main trials, per condition
+ * - maxRunLengthDifference: difference between the mean run lengths of HI and HD
+ * - minQuartileProportion: share of main trials with s_t in each quartile of the
+ *   range (see StimulusGenerator.calculateQuartileDistribution()), per condition
+ * - maxObserverErrorDifference: difference between the ideal observer's mean
+ *   absolute errors in HI and HD
+ *
+ * The first candidate is the base seed itself, so sequences that already meet
+ * the constraints are unchanged. The search is deterministic: the same config,
+ * trial count and base seed always give the same final seed. In the browser,
+ * searchAsync() yields between candidates so that the page stays responsive.
+ */
+
+// In Node the companion scripts are not loaded as globals, so require them here
+if (typeof module !== 'undefined' && module.exports && typeof SeededRandom === 'undefined') {
+    global.SeededRandom = require('./stimulus-generator.js').SeededRandom;
+}
+if (typeof module !== 'undefined' && module.exports && typeof BayesianObserver === 'undefined') {
+    global.BayesianObserver = require('./bayesian-observer.js').BayesianObserver;
+}
+
+class SequenceConstraints {
+    /**
+     * @param {Object} constraints - The `sequenceConstraints` section of ExperimentConfig
+     * @param {Object} observerOptions - The `observer` section, for the matched observer error
+     */
+    constructor(constraints, observerOptions = {}) {
+        this.constraints = constraints;
+        this.observerOptions = observerOptions;
+    }
+    
+    /**
+     * Seed of a candidate: the base seed for the first, then seeds hashed from
+     * the base seed and the candidate number
+     * @param {number} baseSeed - Seed the search starts from
+     * @param {number} candidate - Candidate number (0-based)
+     * @returns {number} Seed in [0, 2^32)
+     */
+    static candidateSeed(baseSeed, candidate) {
+        return candidate === 0 ? baseSeed : SeededRandom.hashSeed(`${baseSeed}/candidate-${candidate}`)[0] >>> 0;
+    }
+    
+    /**
+     * Try candidate seeds until the sequences meet every constraint
+     * @param {Function} createGenerator - (seed) => StimulusGenerator
+     * @param {number} baseSeed - Seed of the first candidate
+     * @returns {Object} { generator, sequences, search }, where search is
+     *                   { baseSeed, seed, candidates, statistics } for the data
+     */
+    search(createGenerator, baseSeed) {
+        const failures = {};
+        
+        for (let candidate = 0; candidate < this.constraints.maxCandidates; candidate++) {
+            const result = this.tryCandidate(createGenerator, baseSeed, candidate, failures);
+            if (result) {
+                return result;
+            }
+        }
+        throw this.exhaustedError(baseSeed, failures);
+    }
+    
+    /**
+     * Same as search(), but gives control back to the browser before every candidate
+     * @param {Function} createGenerator - (seed) => StimulusGenerator
+     * @param {number} baseSeed - Seed of the first candidate
+     * @param {Function} onProgress - Optional (candidate, maxCandidates) => void, called before each candidate
+     * @returns {Promise<Object>} Resolves to the result of search()
+     */
+    async searchAsync(createGenerator, baseSeed, onProgress = null) {
+        const failures = {};
+        
+        for (let candidate = 0; candidate < this.constraints.maxCandidates; candidate++) {
+            if (onProgress) {
+                onProgress(candidate, this.constraints.maxCandidates);
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            const result = this.tryCandidate(createGenerator, baseSeed, candidate, failures);
+            if (result) {
+                return result;
+            }
+        }
+        throw this.exhaustedError(baseSeed, failures);
+    }
+    
+    /**
+     * Generate and check the sequences of one candidate seed
+     * @param {Function} createGenerator - (seed) => StimulusGenerator
+     * @param {number} baseSeed - Seed of the first candidate
+     * @param {number} candidate - Candidate number (0-based)
+     * @param {Object} failures - Constraint name -> failure count, updated in place
+     * @returns {Object|null} Result of search() if the candidate qualifies, otherwise null
+     */
+    tryCandidate(createGenerator, baseSeed, candidate, failures) {
+        const seed = SequenceConstraints.candidateSeed(baseSeed, candidate);
+        const generator = createGenerator(seed);
+        const sequences = generator.generateAllSequences();
+        const evaluation = this.evaluate(generator, sequences);
+        
+        if (evaluation.failed !== null) {
+            failures[evaluation.failed] = (failures[evaluation.failed] || 0) + 1;
+            return null;
+        }
+        return {
+            generator: generator,
+            sequences: sequences,
+            search: {
+                baseSeed: baseSeed,
+                seed: seed,
+                candidates: candidate + 1,
+                statistics: evaluation.statistics
+            }
+        };
+    }
+    
+    /**
+     * Error for a search in which no candidate qualified
+     * @param {number} baseSeed - Seed of the first candidate
+     * @param {Object} failures - Constraint name -> failure count
+     * @returns {Error} Error listing how often each constraint failed
+     */
+    exhaustedError(baseSeed, failures) {
+        const counts = Object.entries(failures).map(([name, count]) => `${name} ${count}`).join(', ');
+        return new Error(`No sequences met the constraints in ${this.constraints.maxCandidates} candidates ` +
+            `from seed ${baseSeed} (failed: ${counts}); relax sequenceConstraints or raise maxCandidates`);
+    }
+    
+    /**
+     * Check the main sequences against the constraints, cheapest first. The
+     * ideal observer only runs once the other constraints are met.
+     * @param {StimulusGenerator} generator - Generator of the sequences
+     * @param {Object} sequences - Sequences from generateAllSequences()
+     * @returns {Object} { failed, statistics }: the first constraint not met (null if all are)
+     *                   and the statistics computed so far
+     */
+    evaluate(generator, sequences) {
+        const constraints = this.constraints;
+        const conditions = ['HI', 'HD'];
+        const statistics = {};
+        
+        statistics.changesPerHundred = {};
+        statistics.meanRunLength = {};
+        for (const condition of conditions) {
+            const trials = sequences[condition].main;
+            statistics.changesPerHundred[condition] = trials.length ?
+                trials.filter(trial => trial.change_flag).length / trials.length * 100 : 0;
+            statistics.meanRunLength[condition] = SequenceConstraints.meanRunLength(trials);
+        }
+        for (const condition of conditions) {
+            const range = constraints.changesPerHundred[condition];
+            const changes = statistics.changesPerHundred[condition];
+            if ((range.min !== null && changes < range.min) || (range.max !== null && changes > range.max)) {
+                return { failed: 'changesPerHundred', statistics: statistics };
+            }
+        }
+        
+        if (constraints.maxRunLengthDifference !== null) {
+            const { HI, HD } = statistics.meanRunLength;
+            if (HI === null || HD === null || Math.abs(HI - HD) > constraints.maxRunLengthDifference) {
+                return { failed: 'maxRunLengthDifference', statistics: statistics };
+            }
+        }
+        
+        statistics.quartileProportions = {};
+        for (const condition of conditions) {
+            const states = sequences[condition].main.map(trial => trial.s_t);
+            const counts = generator.calculateQuartileDistribution(states).counts;
+            statistics.quartileProportions[condition] = ['q1', 'q2', 'q3', 'q4'].map(quartile =>
+                (states.length ? counts[quartile] / states.length : 0));
+        }
+        if (constraints.minQuartileProportion !== null && conditions.some(condition =>
+            Math.min(...statistics.quartileProportions[condition]) < constraints.minQuartileProportion)) {
+            return { failed: 'minQuartileProportion', statistics: statistics };
+        }
+        
+        if (constraints.maxObserverErrorDifference !== null) {
+            const observer = new BayesianObserver(generator, this.observerOptions);
+            statistics.observerError = {};
+            for (const condition of conditions) {
+                statistics.observerError[condition] = SequenceConstraints.meanAbsoluteError(generator,
+                    sequences[condition].main, observer.filter(sequences[condition].main));
+            }
+            if (Math.abs(statistics.observerError.HI - statistics.observerError.HD) > constraints.maxObserverErrorDifference) {
+                return { failed: 'maxObserverErrorDifference', statistics: statistics };
+            }
+        }
+        
+        return { failed: null, statistics: statistics };
+    }
+    
+    /**
+     * Mean length of the complete runs between change points
+     * @param {Array} trials - Trials of the sequence
+     * @returns {number|null} Mean run length in trials (null with fewer than two change points)
+     */
+    static meanRunLength(trials) {
+        const changes = trials.filter(trial => trial.change_flag).map(trial => trial.trial_idx);
+        if (changes.length < 2) {
+            return null;
+        }
+        return (changes[changes.length - 1] - changes[0]) / (changes.length - 1);
+    }
+    
+    /**
+     * Mean absolute error of the ideal observer's posterior mean
+     * @param {StimulusGenerator} generator - Generator, for the distance between states
+     * @param {Array} trials - Trials of the sequence
+     * @param {Array} estimates - Estimates from BayesianObserver.filter()
+     * @returns {number} Mean |mean - s_t|, the shortest way round with the circular boundary
+     */
+    static meanAbsoluteError(generator, trials, estimates) {
+        if (!trials.length) {
+            return 0;
+        }
+        const total = trials.reduce((sum, trial, i) =>
+            sum + Math.abs(generator.stateDifference(estimates[i].mean, trial.s_t)), 0);
+        return total / trials.length;
+    }
+}
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SequenceConstraints };
+} else {
+    // Make available globally when used directly in browser
+    window.SequenceConstraints = SequenceConstraints;
+}
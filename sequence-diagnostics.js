@@ -0,0 +1,587 @@
+/**
+ * Sequence Diagnostics for the NeuroState Estimation Task
+ * Checks that generated sequences follow the intended generative process:
+ * the empirical hazard per tau against q(tau), the run-length distribution,
+ * the jump sizes against the transition kernel, the observation noise
+ * against the likelihood family, and how often values are clamped to the
+ * ends of the state range. Each check passes, fails or is skipped (null) when
+ * the sequence is too short to tell.
+ *
+ * Differences between states are taken the shortest way round in the circular
+ * state space. With the truncate and reflect boundaries, which reshape the
+ * distributions near the ends by design, jumps and observations whose
+ * distribution reaches beyond an end are left out of the jump and noise checks.
+ *
+ * The report is written as JSON and as a standalone HTML page by
+ * tools/generate-sequences.js.
+ */
+
+class SequenceDiagnostics {
+    /**
+     * @param {StimulusGenerator} generator - Generator that produced the sequences
+     * @param {Object} tolerances - The `diagnostics` section of ExperimentConfig
+     */
+    constructor(generator, tolerances) {
+        this.generator = generator;
+        this.tolerances = tolerances;
+    }
+    
+    /**
+     * Diagnose every tutorial and main sequence (catch trials are not part of the process)
+     * @param {Object} sequences - Sequences from generateAllSequences()
+     * @returns {Object} Report { createdAt, parameters, tolerances, sequences, pass }
+     */
+    analyzeAll(sequences) {
+        const results = [];
+        for (const [condition, sequence] of Object.entries(sequences)) {
+            sequence.tutorials.forEach((trials, i) => {
+                results.push(this.analyzeSequence(trials, condition, `tutorial-${i + 1}`, i + 1));
+            });
+            results.push(this.analyzeSequence(sequence.main, condition, 'main'));
+        }
+        
+        return {
+            createdAt: new Date().toISOString(),
+            parameters: this.generator.getParameters(),
+            tolerances: this.tolerances,
+            sequences: results,
+            pass: SequenceDiagnostics.combine(results.map(result => result.pass))
+        };
+    }
+    
+    /**
+     * Diagnose one sequence
+     * @param {Array} trials - Trials of the sequence
+     * @param {string} condition - 'HI' or 'HD'
+     * @param {string} sequence - 'main' or 'tutorial-<phase>'
+     * @param {number|null} tutorialPhase - Tutorial phase (1-based), or null for the main sequence
+     * @returns {Object} Results of every check, and whether all checks that ran passed
+     */
+    analyzeSequence(trials, condition, sequence, tutorialPhase = null) {
+        const hazardFunction = this.generator.getHazardFunction(condition);
+        const checks = {
+            hazard: this.analyzeHazard(trials, hazardFunction),
+            runLengths: this.analyzeRunLengths(trials, hazardFunction),
+            jumps: this.analyzeJumps(trials),
+            noise: this.analyzeNoise(trials, this.generator.getLikelihood(condition, tutorialPhase)),
+            clamping: this.analyzeClamping(trials)
+        };
+        
+        return Object.assign({ condition: condition, sequence: sequence, trials: trials.length }, checks, {
+            pass: SequenceDiagnostics.combine(Object.values(checks).map(check => check.pass))
+        });
+    }
+    
+    /**
+     * Empirical hazard per tau against the intended q(tau). On each trial the
+     * change is drawn with the tau of the previous trial (0 on the first).
+     * @param {Array} trials - Trials of the sequence
+     * @param {Object} hazardFunction - Hazard function of the condition
+     * @returns {Object} Per-tau counts and z-scores; fails if any |z| exceeds maxZ
+     */
+    analyzeHazard(trials, hazardFunction) {
+        const counts = [];
+        trials.forEach((trial, t) => {
+            const tau = t === 0 ? 0 : trials[t - 1].tau_true;
+            counts[tau] = counts[tau] || { atRisk: 0, changes: 0 };
+            counts[tau].atRisk++;
+            counts[tau].changes += trial.change_flag ? 1 : 0;
+        });
+        
+        const byTau = [];
+        counts.forEach((count, tau) => {
+            if (!count) {
+                return;
+            }
+            const intended = hazardFunction.rate(tau);
+            const expected = count.atRisk * intended;
+            const sd = Math.sqrt(count.atRisk * intended * (1 - intended));
+            const deviation = count.changes - expected;
+            byTau.push({
+                tau: tau,
+                atRisk: count.atRisk,
+                changes: count.changes,
+                empirical: count.changes / count.atRisk,
+                intended: intended,
+                // A deviation from a hazard of exactly 0 or 1 is impossible under the intended process
+                z: sd > 0 ? deviation / sd : (Math.abs(deviation) < 1e-9 ? 0 : Infinity),
+                checked: false
+            });
+        });
+        
+        // The normal approximation needs enough expected changes and non-changes; a change
+        // where q(tau) is exactly 0 (or none where it is 1) fails with any number of trials
+        const minExpected = this.tolerances.minExpected;
+        const checked = byTau.filter(entry => !isFinite(entry.z) ||
+            (entry.atRisk * entry.intended >= minExpected && entry.atRisk * (1 - entry.intended) >= minExpected));
+        checked.forEach(entry => {
+            entry.checked = true;
+        });
+        const maxAbsZ = checked.length ? Math.max(...checked.map(entry => Math.abs(entry.z))) : null;
+        return {
+            byTau: byTau,
+            tausChecked: checked.length,
+            maxAbsZ: maxAbsZ,
+            pass: checked.length ? maxAbsZ <= this.tolerances.maxZ : null
+        };
+    }
+    
+    /**
+     * Lengths of the complete runs between change points against the run-length
+     * distribution implied by q(tau)
+     * @param {Array} trials - Trials of the sequence
+     * @param {Object} hazardFunction - Hazard function of the condition
+     * @returns {Object} Histogram and mean; fails if the mean is more than maxZ standard errors off
+     */
+    analyzeRunLengths(trials, hazardFunction) {
+        const changes = trials.filter(trial => trial.change_flag).map(trial => trial.trial_idx);
+        const lengths = changes.slice(1).map((idx, i) => idx - changes[i]);
+        const expected = SequenceDiagnostics.runLengthDistribution(hazardFunction);
+        const observed = SequenceDiagnostics.moments(lengths);
+        
+        const maxLength = Math.max(0, ...lengths, expected ? expected.quantile99 : 0);
+        const histogram = [];
+        for (let length = 1; length <= maxLength; length++) {
+            histogram.push({
+                length: length,
+                count: lengths.filter(value => value === length).length,
+                expected: expected ? lengths.length * (expected.pmf[length - 1] || 0) : null
+            });
+        }
+        
+        const checkable = expected !== null && lengths.length >= this.tolerances.minRuns;
+        const standardError = checkable ? expected.sd / Math.sqrt(lengths.length) : null;
+        let z = null;
+        if (checkable) {
+            z = standardError > 0 ? (observed.mean - expected.mean) / standardError :
+                (Math.abs(observed.mean - expected.mean) < 1e-9 ? 0 : Infinity);
+        }
+        
+        return {
+            runs: lengths.length,
+            mean: observed.mean,
+            sd: observed.sd,
+            expectedMean: expected ? expected.mean : null,
+            expectedSD: expected ? expected.sd : null,
+            z: z,
+            histogram: histogram,
+            pass: checkable ? Math.abs(z) <= this.tolerances.maxZ : null
+        };
+    }
+    
+    /**
+     * Whether the truncate or reflect boundary can have reshaped a sample drawn
+     * around this center
+     * @param {number} center - Center of the distribution the sample was drawn from
+     * @param {number} reach - Largest distance of a sample from the center
+     * @returns {boolean} True if the sample is not comparable to the unbounded distribution
+     */
+    nearBoundary(center, reach) {
+        return ['truncate', 'reflect'].includes(this.generator.BOUNDARY) &&
+            (center < reach || center > this.generator.STATE_RANGE - reach);
+    }
+    
+    /**
+     * Jump sizes at change points against the transition kernel of the
+     * generator. The jump distribution depends on the state before the change
+     * (and on exploration trials), so the intended CDF is the average of the
+     * conditional jump CDFs over the changes.
+     * @param {Array} trials - Trials of the sequence
+     * @returns {Object} Histogram, share where the kernel has no density and KS distance; fails if
+     *                   either is too large (under the kernel every jump has density)
+     */
+    analyzeJumps(trials) {
+        const generator = this.generator;
+        const kernel = generator.transitionKernel;
+        
+        const changes = [];
+        let excluded = 0;
+        for (let t = 1; t < trials.length; t++) {
+            if (!trials[t].change_flag) {
+                continue;
+            }
+            const from = trials[t - 1].s_t;
+            const exploration = generator.isExplorationTrial(trials[t].trial_idx, trials[t].is_tutorial);
+            const components = kernel.components(from, exploration);
+            if (components.some(c => this.nearBoundary(c.center, c.shape.reach(c.width)))) {
+                excluded++;
+            } else {
+                changes.push({
+                    from: from,
+                    exploration: exploration,
+                    reach: Math.max(...components.map(c => Math.abs(c.center - from) + c.shape.reach(c.width))),
+                    jump: generator.stateDifference(trials[t].s_t, from)
+                });
+            }
+        }
+        
+        const jumps = changes.map(change => change.jump);
+        const cdf = jump => (changes.length ?
+            changes.reduce((sum, change) => sum + this.jumpCDF(jump, change), 0) / changes.length : 0);
+        const outside = changes.filter(change => this.jumpDensity(change.jump, change) === 0).length;
+        const binWidth = generator.CHANGE_SIZE_HALF_WIDTH / 4;
+        const limit = Math.max(binWidth, ...jumps.map(Math.abs));
+        const bins = Math.ceil(limit / binWidth);
+        const moments = SequenceDiagnostics.moments(jumps);
+        
+        const distribution = this.checkDistribution(jumps, cdf);
+        const outsideProportion = jumps.length ? outside / jumps.length : null;
+        
+        return Object.assign({
+            transitionKernel: kernel.label,
+            changes: jumps.length,
+            excludedNearBoundary: excluded,
+            mean: moments.mean,
+            sd: moments.sd,
+            outsideKernel: outside,
+            outsideKernelProportion: outsideProportion,
+            histogram: SequenceDiagnostics.histogram(jumps, -bins * binWidth, bins * binWidth, 2 * bins, cdf)
+        }, distribution, {
+            pass: distribution.pass === null ? null :
+                distribution.pass && outsideProportion <= this.tolerances.maxOutsideKernelProportion
+        });
+    }
+    
+    /**
+     * Probability under the transition kernel that the jump of a change is at
+     * most jump. In the circular state space jumps are wrapped into
+     * [-stateRange / 2, stateRange / 2), so every image of the interval counts.
+     * @param {number} jump - Jump size
+     * @param {Object} change - { from, exploration, reach } of the change
+     * @returns {number} Conditional CDF of the jump
+     */
+    jumpCDF(jump, change) {
+        const kernel = this.generator.transitionKernel;
+        const cdf = x => kernel.cdf(x, change.from, change.exploration);
+        if (this.generator.BOUNDARY !== 'circular') {
+            return cdf(change.from + jump);
+        }
+        
+        const range = this.generator.STATE_RANGE;
+        const images = Math.ceil(change.reach / range) + 1;
+        let probability = 0;
+        for (let k = -images; k <= images; k++) {
+            probability += cdf(change.from + jump + k * range) - cdf(change.from - range / 2 + k * range);
+        }
+        return probability;
+    }
+    
+    /**
+     * Density of the transition kernel at the jump of a change (summed over
+     * the images in the circular state space)
+     * @param {number} jump - Jump size
+     * @param {Object} change - { from, exploration, reach } of the change
+     * @returns {number} Conditional density of the jump
+     */
+    jumpDensity(jump, change) {
+        const kernel = this.generator.transitionKernel;
+        if (this.generator.BOUNDARY !== 'circular') {
+            return kernel.density(change.from + jump, change.from, change.exploration);
+        }
+        
+        const range = this.generator.STATE_RANGE;
+        const images = Math.ceil(change.reach / range) + 1;
+        let density = 0;
+        for (let k = -images; k <= images; k++) {
+            density += kernel.density(change.from + jump + k * range, change.from, change.exploration);
+        }
+        return density;
+    }
+    
+    /**
+     * Observation noise x_t - s_t, in units of the trial's likelihood width,
+     * against the likelihood family of the sequence
+     * @param {Array} trials - Trials of the sequence
+     * @param {Object} likelihood - Likelihood family of the sequence (see StimulusGenerator.getLikelihood())
+     * @returns {Object} Histogram, moments and KS distance; fails if the KS distance is too large
+     */
+    analyzeNoise(trials, likelihood) {
+        const included = trials.filter(trial => !this.nearBoundary(trial.s_t, likelihood.reach(trial.likelihood_width)));
+        const noise = included.map(trial => this.generator.stateDifference(trial.x_t, trial.s_t) / trial.likelihood_width);
+        const cdf = value => likelihood.cdf(value, 0, 1);
+        const moments = SequenceDiagnostics.moments(noise);
+        
+        // Heavy tails are cut off at 8 SD in the histogram
+        const limit = Math.min(likelihood.reach(1), 8 * likelihood.sd(1));
+        return Object.assign({
+            likelihood: likelihood.label,
+            observations: noise.length,
+            excludedNearBoundary: trials.length - included.length,
+            mean: moments.mean,
+            sd: moments.sd,
+            expectedSD: likelihood.sd(1),
+            histogram: SequenceDiagnostics.histogram(noise, -limit, limit, 20, cdf)
+        }, this.checkDistribution(noise, cdf));
+    }
+    
+    /**
+     * How often sampled states (at the start and at change points) and
+     * observations were clamped to the ends of the state range
+     * @param {Array} trials - Trials of the sequence
+     * @returns {Object} Counts and proportions; fails if either proportion exceeds maxClampedProportion
+     */
+    analyzeClamping(trials) {
+        const range = this.generator.STATE_RANGE;
+        const atBound = value => value <= 0 || value >= range;
+        const states = trials.filter((trial, t) => t === 0 || trial.change_flag).map(trial => trial.s_t);
+        const clampedStates = states.filter(atBound).length;
+        const clampedObservations = trials.filter(trial => atBound(trial.x_t)).length;
+        const stateProportion = states.length ? clampedStates / states.length : 0;
+        const observationProportion = trials.length ? clampedObservations / trials.length : 0;
+        
+        return {
+            sampledStates: states.length,
+            clampedStates: clampedStates,
+            stateProportion: stateProportion,
+            clampedObservations: clampedObservations,
+            observationProportion: observationProportion,
+            pass: trials.length >= this.tolerances.minSamples ?
+                Math.max(stateProportion, observationProportion) <= this.tolerances.maxClampedProportion : null
+        };
+    }
+    
+    /**
+     * Kolmogorov-Smirnov distance of samples from an intended distribution
+     * @param {Array} samples - Samples
+     * @param {Function} cdf - Intended cumulative distribution function
+     * @returns {Object} { ks, ksLimit, pass }; skipped (null) with fewer than minSamples samples
+     */
+    checkDistribution(samples, cdf) {
+        if (samples.length < this.tolerances.minSamples) {
+            return { ks: null, ksLimit: null, pass: null };
+        }
+        const ks = SequenceDiagnostics.ksDistance(samples, cdf);
+        const ksLimit = this.tolerances.ksCoefficient / Math.sqrt(samples.length);
+        return { ks: ks, ksLimit: ksLimit, pass: ks <= ksLimit };
+    }
+    
+    /**
+     * Combine check results: false if any failed, null if none ran, true otherwise
+     * @param {Array} results - true, false or null per check
+     * @returns {boolean|null} Combined result
+     */
+    static combine(results) {
+        if (results.includes(false)) {
+            return false;
+        }
+        return results.includes(true) ? true : null;
+    }
+    
+    /**
+     * Run-length distribution implied by a hazard function: a run of length n
+     * has no change at tau = 0..n-2 and a change at tau = n-1
+     * @param {Object} hazardFunction - Hazard function
+     * @returns {Object|null} { pmf, mean, sd, quantile99 }, or null if runs may never end
+     */
+    static runLengthDistribution(hazardFunction) {
+        const pmf = [];
+        let survival = 1;
+        for (let tau = 0; tau < SequenceDiagnostics.MAX_RUN_LENGTH && survival > 1e-12; tau++) {
+            const rate = hazardFunction.rate(tau);
+            pmf.push(survival * rate);
+            survival *= 1 - rate;
+        }
+        if (survival > 1e-6) {
+            return null;
+        }
+        
+        const mean = pmf.reduce((sum, p, i) => sum + p * (i + 1), 0);
+        const variance = pmf.reduce((sum, p, i) => sum + p * (i + 1 - mean) ** 2, 0);
+        let cumulative = 0;
+        const quantile99 = pmf.findIndex(p => (cumulative += p) >= 0.99) + 1;
+        return { pmf: pmf, mean: mean, sd: Math.sqrt(variance), quantile99: quantile99 };
+    }
+    
+    /**
+     * Kolmogorov-Smirnov distance between the empirical distribution of samples and a CDF
+     * @param {Array} samples - Samples
+     * @param {Function} cdf - Cumulative distribution function
+     * @returns {number} Largest absolute difference between the two distribution functions
+     */
+    static ksDistance(samples, cdf) {
+        const sorted = samples.slice().sort((a, b) => a - b);
+        const n = sorted.length;
+        return sorted.reduce((distance, value, i) => {
+            const p = cdf(value);
+            return Math.max(distance, p - i / n, (i + 1) / n - p);
+        }, 0);
+    }
+    
+    /**
+     * Histogram with the counts expected under a CDF
+     * @param {Array} values - Values
+     * @param {number} min - Lower edge of the first bin
+     * @param {number} max - Upper edge of the last bin
+     * @param {number} bins - Number of bins
+     * @param {Function} cdf - Intended cumulative distribution function
+     * @returns {Array} Bins { from, to, count, expected }
+     */
+    static histogram(values, min, max, bins, cdf) {
+        const width = (max - min) / bins;
+        const histogram = [];
+        for (let i = 0; i < bins; i++) {
+            const from = min + i * width;
+            const to = from + width;
+            const last = i === bins - 1;
+            histogram.push({
+                from: from,
+                to: to,
+                count: values.filter(value => value >= from && (value < to || (last && value <= to))).length,
+                expected: values.length * (cdf(to) - cdf(from))
+            });
+        }
+        return histogram;
+    }
+    
+    /**
+     * @param {Array} values - Values
+     * @returns {Object} { mean, sd } (null for no values)
+     */
+    static moments(values) {
+        if (!values.length) {
+            return { mean: null, sd: null };
+        }
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+        return { mean: mean, sd: Math.sqrt(variance) };
+    }
+    
+    /**
+     * Render a report as a standalone HTML page
+     * @param {Object} report - Report from analyzeAll()
+     * @param {string} title - Page title
+     * @returns {string} HTML document
+     */
+    static toHTML(report, title = 'Sequence diagnostics') {
+        const escape = SequenceDiagnostics.escapeHTML;
+        const format = value => (value === null || value === undefined ? '&ndash;' :
+            (typeof value === 'number' ? (Number.isInteger(value) ? String(value) : value.toFixed(3)) : escape(String(value))));
+        const status = pass => (pass === null ? '<span class="skip">skipped</span>' :
+            (pass ? '<span class="pass">pass</span>' : '<span class="fail">FAIL</span>'));
+        const checkNames = { hazard: 'Hazard', runLengths: 'Run lengths', jumps: 'Jumps', noise: 'Noise', clamping: 'Clamping' };
+        
+        const summaryRows = report.sequences.map(result => `
+            <tr><td>${escape(result.condition)}</td><td>${escape(result.sequence)}</td><td>${result.trials}</td>
+                ${Object.keys(checkNames).map(check => `<td>${status(result[check].pass)}</td>`).join('')}</tr>`).join('');
+        
+        const sections = report.sequences.filter(result => result.pass !== null).map(result => {
+            const hazard = result.hazard;
+            const runs = result.runLengths;
+            const jumps = result.jumps;
+            const noise = result.noise;
+            const clamping = result.clamping;
+            return `
+            <section>
+                <h2>${escape(result.condition)} ${escape(result.sequence)} ${status(result.pass)}</h2>
+                <h3>Hazard per tau ${status(hazard.pass)}</h3>
+                <p>Largest |z| ${format(hazard.maxAbsZ)} over the ${hazard.tausChecked} tau values with at least
+                   ${report.tolerances.minExpected} expected changes and non-changes (limit ${report.tolerances.maxZ}).
+                   Bars: empirical hazard (pale: not checked); line: intended q(tau).</p>
+                ${SequenceDiagnostics.svgChart(hazard.byTau.map(entry => ({
+                    label: entry.tau, observed: entry.empirical, expected: entry.intended, faded: !entry.checked })))}
+                <h3>Run lengths ${status(runs.pass)}</h3>
+                <p>${runs.runs} complete runs, mean ${format(runs.mean)} (expected ${format(runs.expectedMean)},
+                   z ${format(runs.z)}). Bars: observed counts; line: expected counts.</p>
+                ${SequenceDiagnostics.svgChart(runs.histogram.map(bin => ({
+                    label: bin.length, observed: bin.count, expected: bin.expected })))}
+                <h3>Jump sizes ${status(jumps.pass)}</h3>
+                <p>Transition kernel ${escape(jumps.transitionKernel)}: ${jumps.changes} jumps${jumps.excludedNearBoundary ? ` (${jumps.excludedNearBoundary} near an end left out)` : ''}, mean ${format(jumps.mean)}, SD ${format(jumps.sd)};
+                   ${jumps.outsideKernel} (${format(jumps.outsideKernelProportion)}) beyond the reach of the kernel
+                   (limit ${report.tolerances.maxOutsideKernelProportion}). KS distance ${format(jumps.ks)} (limit ${format(jumps.ksLimit)}).</p>
+                ${SequenceDiagnostics.svgChart(jumps.histogram.map(bin => ({
+                    label: Math.round(bin.from), observed: bin.count, expected: bin.expected })))}
+                <h3>Observation noise ${status(noise.pass)}</h3>
+                <p>Likelihood ${escape(noise.likelihood)}: ${noise.observations} observations${noise.excludedNearBoundary ? ` (${noise.excludedNearBoundary} near an end left out)` : ''};
+                   (x<sub>t</sub> &minus; s<sub>t</sub>) / half-width: mean ${format(noise.mean)}, SD ${format(noise.sd)}
+                   (expected ${format(noise.expectedSD)}). KS distance ${format(noise.ks)} (limit ${format(noise.ksLimit)}).</p>
+                ${SequenceDiagnostics.svgChart(noise.histogram.map(bin => ({
+                    label: bin.from.toFixed(1), observed: bin.count, expected: bin.expected })))}
+                <h3>Boundary clamping ${status(clamping.pass)}</h3>
+                <p>${clamping.clampedStates} of ${clamping.sampledStates} sampled states (${format(clamping.stateProportion)}) and
+                   ${clamping.clampedObservations} of ${result.trials} observations (${format(clamping.observationProportion)})
+                   at the ends of the range (limit ${report.tolerances.maxClampedProportion}).</p>
+            </section>`;
+        }).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; }
+    td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    section { margin-top: 2em; border-top: 2px solid #ccc; }
+    .pass { color: #2a7d2a; } .fail { color: #c62828; font-weight: bold; } .skip { color: #888; }
+    svg { background: #fafafa; border: 1px solid #ddd; }
+</style>
+</head>
+<body>
+<h1>${escape(title)} ${status(report.pass)}</h1>
+<p>Created ${escape(report.createdAt)}. Seed ${report.parameters.seed}, ${report.parameters.mainTrials} main trials
+   per condition, ${escape(report.parameters.rngAlgorithm)}.</p>
+<table>
+    <tr><th>Condition</th><th>Sequence</th><th>Trials</th>${Object.values(checkNames).map(name => `<th>${name}</th>`).join('')}</tr>
+    ${summaryRows}
+</table>
+<p>Sequences where every check was skipped (too short) are only listed in the table.</p>
+${sections}
+</body>
+</html>
+`;
+    }
+    
+    /**
+     * Bar chart of observed values with the expected values as a line
+     * @param {Array} items - { label, observed, expected, faded } per bar
+     * @returns {string} SVG element
+     */
+    static svgChart(items) {
+        const width = 720;
+        const height = 180;
+        const margin = 24;
+        if (!items.length) {
+            return '<p>No data.</p>';
+        }
+        
+        const yMax = Math.max(...items.map(item => Math.max(item.observed, item.expected ?? 0))) || 1;
+        const barWidth = (width - 2 * margin) / items.length;
+        const x = i => margin + i * barWidth;
+        const y = value => height - margin - (value / yMax) * (height - 2 * margin);
+        const labelEvery = Math.ceil(items.length / 20);
+        
+        const bars = items.map((item, i) => `<rect x="${x(i) + 1}" y="${y(item.observed)}" width="${Math.max(1, barWidth - 2)}" ` +
+            `height="${height - margin - y(item.observed)}" fill="${item.faded ? '#cfd8dc' : '#78909c'}"/>`).join('');
+        const labels = items.map((item, i) => (i % labelEvery ? '' :
+            `<text x="${x(i) + barWidth / 2}" y="${height - 8}" font-size="10" text-anchor="middle">${item.label}</text>`)).join('');
+        const expected = items.filter(item => item.expected !== null && item.expected !== undefined)
+            .map(item => `${x(items.indexOf(item)) + barWidth / 2},${y(item.expected)}`).join(' ');
+        
+        return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+                    ${bars}
+                    <polyline points="${expected}" fill="none" stroke="#c62828" stroke-width="2"/>
+                    ${labels}
+                    <text x="${margin}" y="14" font-size="10">max ${yMax.toFixed(yMax < 10 ? 2 : 0)}</text>
+                </svg>`;
+    }
+    
+    /**
+     * @param {string} text - Text
+     * @returns {string} Text safe to insert into HTML
+     */
+    static escapeHTML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+// Longest run considered when computing the run-length distribution of a hazard function
+SequenceDiagnostics.MAX_RUN_LENGTH = 10000;
+
+// Export for use in tools/generate-sequences.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SequenceDiagnostics };
+} else {
+    // Make available globally when used directly in browser
+    window.SequenceDiagnostics = SequenceDiagnostics;
+}
@@ -0,0 +1,436 @@
+/**
+ * Local development server for the NeuroState Estimation Task
+ * Stand-in for the production data backend. Serves the experiment files,
+ * accepts the submissions sent by DataSubmitter, writing them to disk in the
+ * hi_data / hd_data layout under data/submissions/, and assigns participants to
+ * conditions with counts kept in data/assignments.json.
+ *
+ * Usage: node server/dev-server.js [port]
+ * Then open http://localhost:8000/index.html?config=local-server
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { ExperimentUtils } = require('../experiment-utils.js');
+const { ExperimentConfig } = require('../experiment-config.js');
+const { ConditionAssigner } = require('../assignment.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+const SUBMISSIONS_DIR = path.join(DATA_DIR, 'submissions');
+const RAW_DIR = path.join(SUBMISSIONS_DIR, 'raw');
+const ASSIGNMENTS_FILE = path.join(DATA_DIR, 'assignments.json');
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8000', 10);
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// What the experiment loads: the page, scripts and styles at the top level, and the
+// configs and sequence files. The rest of the repository is not served.
+const STATIC_FILE_PATTERN = /^[A-Za-z0-9_-]+\.(html|js|css)$/;
+const STATIC_DIRS = ['configs', 'sequences'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8'
+};
+
+/**
+ * Directory for one condition's data, e.g. data/submissions/hi_data
+ * @param {string} condition - 'HI' or 'HD'
+ * @returns {string} Directory path
+ */
+function conditionDir(condition) {
+    return path.join(SUBMISSIONS_DIR, `${condition.toLowerCase()}_data`);
+}
+
+/**
+ * Base filename, the experiment's naming plus the session, e.g. neurostate_P12345_lq3x9k2ab7_HI
+ * @param {Object} submission - Submission envelope
+ * @param {string} condition - 'HI' or 'HD'
+ * @returns {string} Filename without extension
+ */
+function baseFilename(submission, condition) {
+    return `neurostate_${submission.participantID}_${submission.sessionID}_${condition}`;
+}
+
+/**
+ * Directory with the raw submissions of one participant
+ * @param {string} participantID - Participant ID
+ * @returns {string} Directory path
+ */
+function participantDir(participantID) {
+    return path.join(RAW_DIR, participantID);
+}
+
+/**
+ * Group trials by their condition
+ * @param {Array} trials - Trial objects
+ * @returns {Object} Map of condition -> trials
+ */
+function groupByCondition(trials) {
+    const groups = {};
+    for (const trial of trials) {
+        (groups[trial.condition] = groups[trial.condition] || []).push(trial);
+    }
+    return groups;
+}
+
+/**
+ * Only accept IDs that are safe to use in filenames
+ * @param {string} value - ID from the submission
+ * @returns {boolean} Whether the value is safe
+ */
+function isSafeID(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value);
+}
+
+/**
+ * Append a batch of trials to the per-condition CSV files
+ * @param {Object} submission - Submission of kind 'trials'
+ */
+function writeTrialBatch(submission) {
+    const groups = groupByCondition(submission.trials || []);
+    
+    for (const [condition, trials] of Object.entries(groups)) {
+        if (!isSafeID(condition)) continue;
+        const dir = conditionDir(condition);
+        fs.mkdirSync(dir, { recursive: true });
+        
+        const csvFile = path.join(dir, `${baseFilename(submission, condition)}.csv`);
+        const csv = ExperimentUtils.jsonToCSV({
+            participantID: submission.participantID,
+            condition: condition,
+            trials: trials
+        });
+        
+        if (fs.existsSync(csvFile)) {
+            // Header already written by an earlier batch
+            fs.appendFileSync(csvFile, '\n' + csv.split('\n').slice(1).join('\n'));
+        } else {
+            fs.writeFileSync(csvFile, csv);
+        }
+    }
+}
+
+/**
+ * Write the complete data set. It replaces the streamed CSVs, which may have gaps
+ * if some batches were lost.
+ * @param {Object} submission - Submission of kind 'complete'
+ */
+function writeCompletion(submission) {
+    const data = submission.data || {};
+    const groups = groupByCondition(data.trials || []);
+    
+    for (const [condition, trials] of Object.entries(groups)) {
+        if (!isSafeID(condition)) continue;
+        const dir = conditionDir(condition);
+        fs.mkdirSync(dir, { recursive: true });
+        
+        const trajectories = (data.trajectories || []).filter(trajectory => trajectory.condition === condition);
+        const conditionData = Object.assign({}, data, { condition: condition, trials: trials, trajectories: trajectories });
+        const base = path.join(dir, baseFilename(submission, condition));
+        fs.writeFileSync(`${base}.csv`, ExperimentUtils.jsonToCSV(conditionData));
+        fs.writeFileSync(`${base}.json`, JSON.stringify(conditionData, null, 2));
+        if (trajectories.length) {
+            fs.writeFileSync(`${base}_trajectories.csv`, ExperimentUtils.trajectoriesToCSV(conditionData));
+        }
+    }
+}
+
+/**
+ * Store a submission. Duplicates (same id) are acknowledged but not written twice.
+ * The raw file doubles as the duplicate marker, so it is only written once the
+ * data has been stored; a submission that failed can be sent again.
+ * @param {Object} submission - Submission envelope from DataSubmitter
+ * @returns {string} 'stored' or 'duplicate'
+ * @throws {Error} If the submission is invalid
+ */
+function handleSubmission(submission) {
+    if (!isSafeID(submission.id) || !isSafeID(submission.participantID) || !isSafeID(submission.sessionID)) {
+        throw new Error('Submission needs a valid id, participantID and sessionID');
+    }
+    if (submission.kind !== 'complete' && submission.kind !== 'trials') {
+        throw new Error(`Unknown submission kind "${submission.kind}"`);
+    }
+    
+    const dir = participantDir(submission.participantID);
+    const rawFile = path.join(dir, `${submission.id}.json`);
+    if (fs.existsSync(rawFile)) {
+        return 'duplicate';
+    }
+    
+    if (submission.kind === 'complete') {
+        writeCompletion(submission);
+    } else {
+        // Batches that arrive after completion are already in the session's complete data
+        const completeFile = path.join(dir, `${submission.participantID}-${submission.sessionID}-complete-final.json`);
+        if (!fs.existsSync(completeFile)) {
+            writeTrialBatch(submission);
+        }
+    }
+    
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(rawFile, JSON.stringify(submission));
+    console.log(`Stored ${submission.kind} submission ${submission.id}`);
+    return 'stored';
+}
+
+/**
+ * Whether any submission from this participant has been stored
+ * @param {string} participantID - Participant ID
+ * @returns {boolean} True if the participant has taken part before
+ */
+function hasParticipated(participantID) {
+    const dir = participantDir(participantID);
+    return fs.existsSync(dir) && fs.readdirSync(dir).length > 0;
+}
+
+/**
+ * Load the assignment counts
+ * @returns {Object} Assignment state, see ConditionAssigner
+ * @throws {Error} If the counts file cannot be read or parsed
+ */
+function loadAssignments() {
+    if (!fs.existsSync(ASSIGNMENTS_FILE)) {
+        return ConditionAssigner.createState();
+    }
+    try {
+        return JSON.parse(fs.readFileSync(ASSIGNMENTS_FILE, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read the assignment counts from ${ASSIGNMENTS_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Assign a participant to a cell and persist the counts. The factors and method
+ * must match the design of the study's config.
+ * @param {Object} request - { participantID, study, method, factors } from ConditionAssigner
+ * @returns {Object} Assigned cell
+ * @throws {Error} If the request is invalid or does not match the study's design
+ */
+function handleAssignment(request) {
+    if (!isSafeID(request.participantID)) {
+        throw new Error('Assignment request needs a valid participantID');
+    }
+    if (!isSafeID(request.study)) {
+        throw new Error('Assignment request needs a valid study name');
+    }
+    
+    // The design comes from the study's config, not from the request
+    const config = loadStudyConfig(request.study);
+    const factors = ConditionAssigner.designFactors(config);
+    if (JSON.stringify(request.factors) !== JSON.stringify(factors)) {
+        throw new Error(`Assignment factors do not match the design of study "${request.study}"`);
+    }
+    if (request.method !== config.assignment.method) {
+        throw new Error(`Study "${request.study}" is assigned with method "${config.assignment.method}", not "${request.method}"`);
+    }
+    
+    // Synchronous read-modify-write, so concurrent requests cannot interleave
+    const state = loadAssignments();
+    const cell = ConditionAssigner.assignWithState(state, {
+        participantID: request.participantID,
+        study: request.study,
+        method: config.assignment.method,
+        factors: factors
+    });
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(`${ASSIGNMENTS_FILE}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${ASSIGNMENTS_FILE}.tmp`, ASSIGNMENTS_FILE);
+    
+    console.log(`Assigned ${request.participantID} to ${ConditionAssigner.cellKey(cell)}`);
+    return cell;
+}
+
+/**
+ * Resolve a study's config from configs/, as ExperimentConfig.load() does in the browser
+ * @param {string} study - Config name ('default' for the built-in defaults)
+ * @returns {Object} Resolved config
+ * @throws {Error} If the config does not exist or is invalid
+ */
+function loadStudyConfig(study) {
+    if (study === 'default') {
+        return ExperimentConfig.resolve({}, 'default');
+    }
+    
+    const file = path.join(ROOT_DIR, ExperimentConfig.CONFIG_DIR, `${study}.json`);
+    let overrides;
+    try {
+        overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unknown study "${study}"`);
+    }
+    return ExperimentConfig.resolve(overrides, study);
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new Error(`Invalid JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve one of the experiment's files
+ * @param {string} urlPath - Request path
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(urlPath, res) {
+    let relativePath;
+    try {
+        relativePath = decodeURIComponent(urlPath === '/' ? '/index.html' : urlPath);
+    } catch (error) {
+        // Malformed percent-encoding
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT_DIR, relativePath);
+    const parts = path.relative(ROOT_DIR, filePath).split(path.sep);
+    
+    // Only the experiment's own files: not the collected data, the server or anything else in the repository
+    const allowed = parts.length === 1 ? STATIC_FILE_PATTERN.test(parts[0]) :
+        STATIC_DIRS.includes(parts[0]) && !parts.some(part => part.startsWith('.'));
+    if (!allowed) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+    
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    
+    // Allow the experiment to be hosted elsewhere during development
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    
+    if (url.pathname === '/api/data') {
+        if (req.method !== 'POST') {
+            sendJSON(res, 405, { error: 'Use POST' });
+            return;
+        }
+        try {
+            const submission = await readJSONBody(req);
+            const status = handleSubmission(submission);
+            sendJSON(res, 200, { status: status, id: submission.id });
+        } catch (error) {
+            console.warn(`Rejected submission: ${error.message}`);
+            sendJSON(res, 400, { error: error.message });
+        }
+        return;
+    }
+    
+    // Condition assignment used by ConditionAssigner; GET lists the counts per study design
+    if (url.pathname === '/api/assignment') {
+        if (req.method === 'GET') {
+            let studies;
+            try {
+                studies = loadAssignments().studies;
+            } catch (error) {
+                console.error(error.message);
+                sendJSON(res, 500, { error: 'Assignment counts unavailable' });
+                return;
+            }
+            const counts = {};
+            for (const [design, study] of Object.entries(studies)) {
+                counts[design] = study.counts;
+            }
+            sendJSON(res, 200, { counts: counts });
+            return;
+        }
+        if (req.method !== 'POST') {
+            sendJSON(res, 405, { error: 'Use GET or POST' });
+            return;
+        }
+        try {
+            const request = await readJSONBody(req);
+            sendJSON(res, 200, { participantID: request.participantID, cell: handleAssignment(request) });
+        } catch (error) {
+            console.warn(`Rejected assignment request: ${error.message}`);
+            sendJSON(res, 400, { error: error.message });
+        }
+        return;
+    }
+    
+    // Repeat-participation check used by Recruitment.hasParticipated()
+    const participantMatch = url.pathname.match(/^\/api\/participants\/([^/]+)$/);
+    if (participantMatch && req.method === 'GET') {
+        let participantID;
+        try {
+            participantID = decodeURIComponent(participantMatch[1]);
+        } catch (error) {
+            participantID = null; // Malformed percent-encoding
+        }
+        if (!isSafeID(participantID)) {
+            sendJSON(res, 400, { error: 'Invalid participant ID' });
+            return;
+        }
+        sendJSON(res, 200, { participantID: participantID, participated: hasParticipated(participantID) });
+        return;
+    }
+    
+    if (req.method === 'GET') {
+        serveStatic(url.pathname, res);
+        return;
+    }
+    
+    sendJSON(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`NeuroState dev server running at http://localhost:${PORT}/`);
+    console.log(`Writing submissions to ${DATA_DIR}`);
+});
@@ -0,0 +1,125 @@
+/**
+ * Session persistence for the NeuroState Estimation Task
+ * Keeps a snapshot of the running session in localStorage so that it can be
+ * resumed after a reload or browser crash. Logged trials never change, so each
+ * one is written once under its own key; the snapshot itself only holds the
+ * progress and the rest of the experiment data, and stays small.
+ */
+
+class SessionStore {
+    /**
+     * @param {string} key - localStorage key for the snapshot
+     */
+    constructor(key = 'neurostate-session') {
+        this.key = key;
+        this.storedTrials = 0; // Trials of the current session written so far (all again after a resume)
+    }
+    
+    /**
+     * localStorage key of one logged trial
+     * @param {number} index - Trial index in experimentData.trials
+     * @returns {string} Key
+     */
+    trialKey(index) {
+        return `${this.key}-trial-${index}`;
+    }
+    
+    /**
+     * Whether localStorage can be used (it throws in some privacy modes)
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Save a session snapshot. Only the trials logged since the last save are written.
+     * @param {Object} state - Serializable session state, with the full `experimentData`
+     * @returns {boolean} Whether the snapshot was written
+     */
+    save(state) {
+        if (!this.isAvailable()) {
+            return false;
+        }
+        
+        try {
+            const { trials, ...experimentData } = state.experimentData;
+            for (let i = this.storedTrials; i < trials.length; i++) {
+                localStorage.setItem(this.trialKey(i), JSON.stringify(trials[i]));
+                this.storedTrials = i + 1;
+            }
+            
+            const snapshot = Object.assign({}, state, {
+                experimentData: experimentData,
+                storedTrials: trials.length,
+                savedAt: new Date().toISOString()
+            });
+            localStorage.setItem(this.key, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            // Most likely the storage quota is exceeded
+            console.warn(`Could not save session state: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the saved session snapshot, with its trials put back into `experimentData`
+     * @returns {Object|null} Snapshot, or null if there is none (or it is unreadable or incomplete)
+     */
+    load() {
+        if (!this.isAvailable()) {
+            return null;
+        }
+        
+        const json = localStorage.getItem(this.key);
+        if (!json) {
+            return null;
+        }
+        
+        try {
+            const snapshot = JSON.parse(json);
+            const trials = [];
+            for (let i = 0; i < snapshot.storedTrials; i++) {
+                const trial = localStorage.getItem(this.trialKey(i));
+                if (trial === null) {
+                    throw new Error(`trial ${i} is missing`);
+                }
+                trials.push(JSON.parse(trial));
+            }
+            snapshot.experimentData.trials = trials;
+            return snapshot;
+        } catch (error) {
+            console.warn(`Discarding unreadable session state: ${error.message}`);
+            this.clear();
+            return null;
+        }
+    }
+    
+    /**
+     * Remove the saved snapshot and its trials
+     */
+    clear() {
+        this.storedTrials = 0;
+        if (!this.isAvailable()) {
+            return;
+        }
+        
+        const trialPrefix = `${this.key}-trial-`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key === this.key || key.startsWith(trialPrefix)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+    }
+}
+
+// Make available globally
+window.SessionStore = SessionStore;
@@ -4,83 +4,286 @@
  * Based on Prat-Carrabin et al. (2021)
  */
 
+// In Node the companion scripts are not loaded as globals, so require them here
+if (typeof module !== 'undefined' && module.exports && typeof HazardFunctions === 'undefined') {
+    global.HazardFunctions = require('./hazard-functions.js').HazardFunctions;
+}
+if (typeof module !== 'undefined' && module.exports && typeof LikelihoodFunctions === 'undefined') {
+    global.LikelihoodFunctions = require('./likelihood-functions.js').LikelihoodFunctions;
+}
+if (typeof module !== 'undefined' && module.exports && typeof TransitionKernels === 'undefined') {
+    global.TransitionKernels = require('./transition-kernels.js').TransitionKernels;
+}
+if (typeof module !== 'undefined' && module.exports && typeof ExperimentUtils === 'undefined') {
+    global.ExperimentUtils = require('./experiment-utils.js').ExperimentUtils;
+}
+
 class StimulusGenerator {
-    constructor(trialCount = 1000) {
+    /**
+     * @param {number} trialCount - Main experiment trials per condition
+     * @param {Object} options - Generator options, usually the `stimulus` section of ExperimentConfig
+     * @param {number} options.stateRange - Normalized state range [0, stateRange]
+     * @param {number} options.likelihoodHalfWidth - Half-width of triangular likelihood
+     * @param {number} options.changeSizeHalfWidth - Half-width of bimodal transition lobes
+     * @param {number} options.changeSeparation - Distance between bimodal peaks and the current state
+     * @param {string} options.boundary - How samples beyond [0, stateRange] are handled: 'clamp', 'truncate',
+     *                                    'reflect' or 'circular' (see applyBoundary())
+     * @param {Array} options.tutorialPhases - Tutorial phases, { trials, likelihoodScale, likelihood } each (see tutorial.phases in ExperimentConfig)
+     * @param {number} options.seed - Seed for the stimulus sequences
+     * @param {Object} options.hazards - Hazard function spec per condition, e.g. { HD: { type: 'step', threshold: 8 } }
+     * @param {Object} options.likelihoods - Likelihood family spec per condition, e.g. { HI: { type: 'gaussian' } }
+     * @param {Object} options.transitionKernel - Transition kernel spec, e.g. { type: 'bimodal' }
+     * @param {Object} options.catchTrials - Catch-trial settings (see catchTrials in ExperimentConfig)
+     */
+    constructor(trialCount = 1000, options = {}) {
         // Experiment parameters
-        this.STATE_RANGE = 300; // Normalized state range [0, 300]
-        this.LIKELIHOOD_HALF_WIDTH = 20; // Half-width of triangular likelihood
-        this.CHANGE_SIZE_HALF_WIDTH = 40; // Increased half-width of bimodal transition for better exploration
-        this.CHANGE_SEPARATION = 15; // Increased distance between bimodal peaks
+        this.STATE_RANGE = options.stateRange ?? 300; // Normalized state range [0, 300]
+        this.LIKELIHOOD_HALF_WIDTH = options.likelihoodHalfWidth ?? 20; // Likelihood width (half-width of the triangular likelihood)
+        this.CHANGE_SIZE_HALF_WIDTH = options.changeSizeHalfWidth ?? 40; // Half-width of the bimodal transition lobes
+        this.CHANGE_SEPARATION = options.changeSeparation ?? 15; // Distance between the bimodal peaks and the current state
+        this.BOUNDARY = options.boundary ?? 'reflect'; // Boundary handling of states and observations
+        if (!StimulusGenerator.BOUNDARY_MODES.includes(this.BOUNDARY)) {
+            throw new Error(`Unknown boundary mode "${this.BOUNDARY}". Available: ${StimulusGenerator.BOUNDARY_MODES.join(', ')}`);
+        }
         
         // Tutorial parameters
-        this.TUTORIAL_TRIALS = [10, 10, 15, 15, 20]; // Reduced trials per tutorial phase
+        this.TUTORIAL_PHASES = options.tutorialPhases ?? [
+            { trials: 10, likelihoodScale: 1 },
+            { trials: 10, likelihoodScale: 1 },
+            { trials: 15, likelihoodScale: 0.5 }, // Narrower likelihood in phases 3-4
+            { trials: 15, likelihoodScale: 0.5 },
+            { trials: 20, likelihoodScale: 1 }
+        ];
         this.MAIN_TRIALS = trialCount; // Main experiment trials per condition
         
-        // Seeds for reproducibility
-        this.rngSeed = 12345;
-        this.rng = new SeededRandom(this.rngSeed);
+        // Hazard function per condition (see hazard-functions.js for the available types)
+        this.HAZARD_SPECS = Object.assign({
+            HI: { type: 'constant', rate: 0.1 },
+            HD: { type: 'logistic', slope: 1, midpoint: 10 }
+        }, options.hazards);
+        this.hazards = {};
+        for (const [condition, spec] of Object.entries(this.HAZARD_SPECS)) {
+            this.hazards[condition] = HazardFunctions.create(spec);
+        }
+        
+        // Likelihood family per condition; a tutorial phase may select its own
+        // (see likelihood-functions.js for the available types)
+        this.LIKELIHOOD_SPECS = Object.assign({
+            HI: { type: 'triangular' },
+            HD: { type: 'triangular' }
+        }, options.likelihoods);
+        this.likelihoods = {};
+        for (const [condition, spec] of Object.entries(this.LIKELIHOOD_SPECS)) {
+            this.likelihoods[condition] = LikelihoodFunctions.create(spec);
+        }
+        this.phaseLikelihoods = this.TUTORIAL_PHASES.map(phase =>
+            (phase.likelihood ? LikelihoodFunctions.create(phase.likelihood) : null));
+        
+        // Distribution of the new state at a change point (see transition-kernels.js)
+        this.TRANSITION_KERNEL_SPEC = options.transitionKernel ?? { type: 'bimodal' };
+        this.transitionKernel = TransitionKernels.create(this.TRANSITION_KERNEL_SPEC, {
+            stateRange: this.STATE_RANGE,
+            changeSeparation: this.CHANGE_SEPARATION,
+            changeSizeHalfWidth: this.CHANGE_SIZE_HALF_WIDTH
+        });
+        
+        // Catch trials: { enabled, perHundred, minSpacing }
+        this.CATCH_TRIALS = Object.assign({ enabled: false, perHundred: 2, minSpacing: 20 }, options.catchTrials);
+        
+        // Seed for reproducibility. Every sequence draws from its own named streams
+        // (see getStream()), so a sequence does not depend on the trial count of the
+        // others or on the order in which they are generated.
+        this.rngSeed = options.seed ?? 12345;
+        this.streamSeeds = {}; // Stream name -> derived seed, for the data
+    }
+    
+    /**
+     * Create the generator for an experiment config
+     * @param {Object} config - Resolved config (see ExperimentConfig)
+     * @param {number} trialCount - Main experiment trials per condition
+     * @param {number} seed - Seed for the stimulus sequences
+     * @returns {StimulusGenerator} Generator
+     */
+    static fromConfig(config, trialCount, seed) {
+        return new StimulusGenerator(trialCount,
+            Object.assign({ tutorialPhases: config.tutorial.phases, catchTrials: config.catchTrials },
+                config.stimulus, { seed: seed }));
     }
     
     /**
-     * Generate triangular distribution sample
+     * Everything that determines the generated sequences. Recorded in sequence
+     * files, which can only be used with a generator that has the same parameters.
+     * @returns {Object} Generator parameters
+     */
+    getParameters() {
+        return {
+            stateRange: this.STATE_RANGE,
+            likelihoodHalfWidth: this.LIKELIHOOD_HALF_WIDTH,
+            changeSizeHalfWidth: this.CHANGE_SIZE_HALF_WIDTH,
+            changeSeparation: this.CHANGE_SEPARATION,
+            boundary: this.BOUNDARY,
+            tutorialPhases: this.TUTORIAL_PHASES.map(phase => ({
+                trials: phase.trials,
+                likelihoodScale: phase.likelihoodScale,
+                likelihood: phase.likelihood ?? null
+            })),
+            mainTrials: this.MAIN_TRIALS,
+            hazards: this.HAZARD_SPECS,
+            likelihoods: this.LIKELIHOOD_SPECS,
+            transitionKernel: this.TRANSITION_KERNEL_SPEC,
+            catchTrials: {
+                enabled: this.CATCH_TRIALS.enabled,
+                perHundred: this.CATCH_TRIALS.perHundred,
+                minSpacing: this.CATCH_TRIALS.minSpacing
+            },
+            seed: this.rngSeed,
+            rngAlgorithm: SeededRandom.ALGORITHM
+        };
+    }
+    
+    /**
+     * Create the random stream with the given name, e.g. 'HD/main/observation'
+     * @param {string} name - Stream name: condition, sequence and process
+     * @returns {SeededRandom} Generator seeded from rngSeed and the name
+     */
+    getStream(name) {
+        const stream = new SeededRandom(this.rngSeed, name);
+        this.streamSeeds[name] = stream.streamSeed;
+        return stream;
+    }
+    
+    /**
+     * Sample within the state space (see applyBoundary()), from a likelihood
+     * family or a transition kernel component
+     * @param {Object} distribution - Family from LikelihoodFunctions.create()
      * @param {number} center - Center of distribution
-     * @param {number} halfWidth - Half-width of distribution
+     * @param {number} width - Width of distribution
      * @param {SeededRandom} rng - Random number generator
-     * @returns {number} Sample from triangular distribution
+     * @returns {number} Sample
      */
-    sampleTriangular(center, halfWidth, rng = this.rng) {
-        // Triangular distribution: symmetric around center
-        const u = rng.random();
-        let sample;
+    sampleInRange(distribution, center, width, rng) {
+        return this.applyBoundary(center, distribution.reach(width), () => distribution.sample(center, width, rng));
+    }
+    
+    /**
+     * Draw a sample and bring it into the state space. Samples beyond
+     * [0, STATE_RANGE] are handled according to the boundary mode:
+     *   clamp    - Moved onto the nearest end (probability mass piles up on the ends)
+     *   truncate - Drawn again until they fall inside (the distribution truncated to the range)
+     *   reflect  - Mirrored at the ends
+     *   circular - Wrapped around: the two ends of the state space are the same point
+     * @param {number} center - Center of the distribution
+     * @param {number} reach - Largest distance of a sample from the center
+     * @param {Function} draw - () => sample, without regard to the state space
+     * @returns {number} Sample in [0, STATE_RANGE]
+     */
+    applyBoundary(center, reach, draw) {
+        const range = this.STATE_RANGE;
+        let sample = draw();
         
-        if (u < 0.5) {
-            // Left side of triangle
-            sample = center - halfWidth + halfWidth * Math.sqrt(2 * u);
-        } else {
-            // Right side of triangle
-            sample = center + halfWidth - halfWidth * Math.sqrt(2 * (1 - u));
+        switch (this.BOUNDARY) {
+            case 'truncate':
+                if (center + reach <= 0 || center - reach >= range) {
+                    throw new Error(`A distribution at ${center} reaching ${reach} either side ` +
+                        `has no mass inside [0, ${range}] to truncate to`);
+                }
+                for (let attempt = 1; sample < 0 || sample > range; attempt++) {
+                    if (attempt >= StimulusGenerator.MAX_RESAMPLES) {
+                        throw new Error(`No sample inside [0, ${range}] after ${attempt} attempts ` +
+                            `(center ${center}, reach ${reach})`);
+                    }
+                    sample = draw();
+                }
+                return sample;
+            case 'reflect': {
+                const folded = ((sample % (2 * range)) + 2 * range) % (2 * range);
+                return folded > range ? 2 * range - folded : folded;
+            }
+            case 'circular':
+                return ((sample % range) + range) % range;
+            default:
+                return Math.max(0, Math.min(range, sample));
         }
-        
-        // Clamp to valid state range
-        return Math.max(0, Math.min(this.STATE_RANGE, sample));
     }
     
     /**
-     * Generate bimodal triangular distribution sample for state transitions
+     * Signed difference a - b between two states. In the circular state space
+     * this is the shortest way round, in [-STATE_RANGE / 2, STATE_RANGE / 2).
+     * @param {number} a - State
+     * @param {number} b - State
+     * @returns {number} Difference
+     */
+    stateDifference(a, b) {
+        const difference = a - b;
+        if (this.BOUNDARY !== 'circular') {
+            return difference;
+        }
+        const range = this.STATE_RANGE;
+        return ((difference + range / 2) % range + range) % range - range / 2;
+    }
+    
+    /**
+     * Sample the new state at a change point from the transition kernel
      * @param {number} currentState - Current state value
+     * @param {boolean} exploration - Whether this is an exploration trial (see isExplorationTrial())
      * @param {SeededRandom} rng - Random number generator
      * @returns {number} New state sample
      */
-    sampleBimodalTransition(currentState, rng = this.rng) {
-        // Occasionally make larger jumps to explore the full state space
-        const largeJumpProbability = 0.2; // 20% chance of a large jump
-        
-        if (rng.random() < largeJumpProbability) {
-            // Large jump: sample from the entire state space with bias toward middle
-            const targetCenter = this.STATE_RANGE / 2;
-            const largeJumpWidth = this.STATE_RANGE / 3; // Allow jumps across 2/3 of the space
-            return this.sampleTriangular(targetCenter, largeJumpWidth, rng);
-        } else {
-            // Regular bimodal jump
-            const leftCenter = currentState - this.CHANGE_SEPARATION;
-            const rightCenter = currentState + this.CHANGE_SEPARATION;
-            
-            // Equal probability for each lobe
-            const useLeftLobe = rng.random() < 0.5;
-            const center = useLeftLobe ? leftCenter : rightCenter;
-            
-            return this.sampleTriangular(center, this.CHANGE_SIZE_HALF_WIDTH, rng);
-        }
+    sampleTransition(currentState, exploration, rng) {
+        return this.transitionKernel.sample(currentState, exploration, rng,
+            (shape, center, width) => this.sampleInRange(shape, center, width, rng));
     }
     
     /**
-     * Calculate hazard rate for HD condition
+     * Get the hazard rate for a condition
+     * @param {string} condition - 'HI' or 'HD'
      * @param {number} tau - Trials since last change
-     * @returns {number} Hazard rate q(tau)
+     * @returns {number} Probability of a change on this trial
+     */
+    getHazardRate(condition, tau) {
+        return this.getHazardFunction(condition).rate(tau);
+    }
+    
+    /**
+     * Get the hazard function selected for a condition
+     * @param {string} condition - 'HI' or 'HD'
+     * @returns {Object} Hazard function from HazardFunctions.create()
+     */
+    getHazardFunction(condition) {
+        const hazardFunction = this.hazards[condition];
+        if (!hazardFunction) {
+            throw new Error(`No hazard function configured for condition "${condition}"`);
+        }
+        return hazardFunction;
+    }
+    
+    /**
+     * Get the likelihood family of a condition, or of a tutorial phase that selects its own
+     * @param {string} condition - 'HI' or 'HD'
+     * @param {number|null} tutorialPhase - Tutorial phase (1-based), or null for the main sequence
+     * @returns {Object} Likelihood family from LikelihoodFunctions.create()
+     */
+    getLikelihood(condition, tutorialPhase = null) {
+        const phaseLikelihood = tutorialPhase ? this.phaseLikelihoods[tutorialPhase - 1] : null;
+        if (phaseLikelihood) {
+            return phaseLikelihood;
+        }
+        const likelihood = this.likelihoods[condition];
+        if (!likelihood) {
+            throw new Error(`No likelihood configured for condition "${condition}"`);
+        }
+        return likelihood;
+    }
+    
+    /**
+     * Whether boundary exploration may replace the regular transition on this
+     * trial (only with the exploratory transition kernel)
+     * @param {number} t - Trial index within the sequence
+     * @param {boolean} isTutorial - Whether this is tutorial data
+     * @returns {boolean} True if exploration jumps are possible
      */
-    calculateHDHazard(tau) {
-        // q(τ) = (1 + e^(-(τ-10)))^(-1)
-        return 1 / (1 + Math.exp(-(tau - 10)));
+    isExplorationTrial(t, isTutorial) {
+        return this.transitionKernel.explores(t, isTutorial);
     }
     
     /**
@@ -88,14 +291,25 @@ class StimulusGenerator {
      * @param {string} condition - 'HI' or 'HD'
      * @param {number} nTrials - Number of trials
      * @param {boolean} isTutorial - Whether this is tutorial data
-     * @param {number} tutorialPhase - Tutorial phase (1-5)
+     * @param {number} tutorialPhase - Tutorial phase (1-based)
+     * @param {number} attempt - Attempt at the tutorial phase (1-based); repeats have their own streams
      * @returns {Array} Array of trial objects
      */
-    generateSequence(condition, nTrials, isTutorial = false, tutorialPhase = null) {
+    generateSequence(condition, nTrials, isTutorial = false, tutorialPhase = null, attempt = 1) {
         const trials = [];
+        const hazardFunction = this.getHazardFunction(condition);
+        const likelihood = this.getLikelihood(condition, isTutorial ? tutorialPhase : null);
+        
+        // Separate streams for the hidden-state process and the observation noise
+        let sequenceName = `${condition}/${isTutorial ? `tutorial-${tutorialPhase}` : 'main'}`;
+        if (attempt > 1) {
+            sequenceName += `/attempt-${attempt}`;
+        }
+        const stateRng = this.getStream(`${sequenceName}/state`);
+        const observationRng = this.getStream(`${sequenceName}/observation`);
         
         // Start with a random position across the full state space for better coverage
-        let currentState = this.rng.random() * this.STATE_RANGE;
+        let currentState = stateRng.random() * this.STATE_RANGE;
         let tau = 0; // Trials since last change
         
         for (let t = 0; t < nTrials; t++) {
@@ -103,55 +317,26 @@ class StimulusGenerator {
             let hazard;
             
             // Calculate hazard rate based on condition
-            if (condition === 'HI') {
-                hazard = 0.1; // Constant hazard
-            } else { // HD
-                hazard = this.calculateHDHazard(tau);
-            }
+            hazard = hazardFunction.rate(tau);
             
             // Determine if change occurs
-            if (this.rng.random() < hazard) {
+            if (stateRng.random() < hazard) {
                 changeFlag = true;
                 
-                // For better state space coverage, occasionally force exploration of boundaries
-                if (isTutorial || (t > 0 && t % 50 === 0)) { // Every 50 trials or in tutorial
-                    const explorationProb = 0.3;
-                    if (this.rng.random() < explorationProb) {
-                        // Force exploration of less common regions
-                        if (currentState < this.STATE_RANGE * 0.3) {
-                            // If in lower third, bias toward upper regions
-                            currentState = this.sampleTriangular(this.STATE_RANGE * 0.7, this.STATE_RANGE * 0.2, this.rng);
-                        } else if (currentState > this.STATE_RANGE * 0.7) {
-                            // If in upper third, bias toward lower regions
-                            currentState = this.sampleTriangular(this.STATE_RANGE * 0.3, this.STATE_RANGE * 0.2, this.rng);
-                        } else {
-                            // If in middle, explore boundaries
-                            const exploreBoundary = this.rng.random() < 0.5;
-                            currentState = exploreBoundary ? 
-                                this.sampleTriangular(this.STATE_RANGE * 0.15, this.STATE_RANGE * 0.1, this.rng) :
-                                this.sampleTriangular(this.STATE_RANGE * 0.85, this.STATE_RANGE * 0.1, this.rng);
-                        }
-                    } else {
-                        currentState = this.sampleBimodalTransition(currentState);
-                    }
-                } else {
-                    currentState = this.sampleBimodalTransition(currentState);
-                }
+                // Exploratory kernels may jump differently on some trials
+                currentState = this.sampleTransition(currentState, this.isExplorationTrial(t, isTutorial), stateRng);
                 
                 tau = 0;
             } else {
                 tau++;
             }
             
-            // Generate observation from triangular likelihood
-            let likelihoodWidth = this.LIKELIHOOD_HALF_WIDTH;
-            
-            // Modify likelihood width for tutorial phases 3-4
-            if (isTutorial && (tutorialPhase === 3 || tutorialPhase === 4)) {
-                likelihoodWidth = this.LIKELIHOOD_HALF_WIDTH * 0.5; // Narrower likelihood
-            }
+            // Generate observation from the likelihood (tutorial phases may scale its width)
+            const likelihoodWidth = isTutorial ?
+                this.LIKELIHOOD_HALF_WIDTH * this.TUTORIAL_PHASES[tutorialPhase - 1].likelihoodScale :
+                this.LIKELIHOOD_HALF_WIDTH;
             
-            const observation = this.sampleTriangular(currentState, likelihoodWidth);
+            const observation = this.sampleInRange(likelihood, currentState, likelihoodWidth, observationRng);
             
             // Store trial data
             trials.push({
@@ -162,9 +347,12 @@ class StimulusGenerator {
                 s_t: currentState,
                 x_t: observation,
                 hazard_rate: hazard,
+                hazard_function: hazardFunction.label,
+                transition_kernel: this.transitionKernel.label,
                 tutorial_phase: tutorialPhase,
                 is_tutorial: isTutorial,
-                likelihood_width: likelihoodWidth
+                likelihood_width: likelihoodWidth,
+                likelihood_function: likelihood.label
             });
         }
         
@@ -179,8 +367,8 @@ class StimulusGenerator {
     generateTutorialSequences(condition) {
         const tutorials = [];
         
-        for (let phase = 1; phase <= 5; phase++) {
-            const nTrials = this.TUTORIAL_TRIALS[phase - 1];
+        for (let phase = 1; phase <= this.TUTORIAL_PHASES.length; phase++) {
+            const nTrials = this.TUTORIAL_PHASES[phase - 1].trials;
             const trials = this.generateSequence(condition, nTrials, true, phase);
             tutorials.push(trials);
         }
@@ -188,6 +376,19 @@ class StimulusGenerator {
         return tutorials;
     }
     
+    /**
+     * Generate the sequence of a repeated tutorial phase. Each attempt draws from
+     * its own streams, so a repeat shows new observations; attempt 1 is the
+     * sequence from generateTutorialSequences().
+     * @param {string} condition - 'HI' or 'HD'
+     * @param {number} phase - Tutorial phase (1-based)
+     * @param {number} attempt - Attempt at the phase (1-based)
+     * @returns {Array} Array of trial objects
+     */
+    generateTutorialAttempt(condition, phase, attempt) {
+        return this.generateSequence(condition, this.TUTORIAL_PHASES[phase - 1].trials, true, phase, attempt);
+    }
+    
     /**
      * Generate main experiment sequence
      * @param {string} condition - 'HI' or 'HD'
@@ -197,6 +398,53 @@ class StimulusGenerator {
         return this.generateSequence(condition, this.MAIN_TRIALS, false, null);
     }
     
+    /**
+     * Schedule the catch trials of a main sequence. They are shown between
+     * regular trials and are not part of the hidden-state process: the main
+     * sequence itself is unchanged. One catch trial falls at a random position
+     * in each of perHundred-per-100-trials equal segments, away from the segment
+     * edges so that catch trials are at least about minSpacing trials apart.
+     * @param {string} condition - 'HI' or 'HD'
+     * @returns {Array} Catch trials { catch_idx, before, x_t, ... }, ordered by position
+     */
+    generateCatchTrials(condition) {
+        const options = this.CATCH_TRIALS;
+        const count = options.enabled ? Math.round(this.MAIN_TRIALS * options.perHundred / 100) : 0;
+        const catchTrials = [];
+        if (count === 0 || this.MAIN_TRIALS < 2) {
+            return catchTrials;
+        }
+        
+        // Catch trials go before one of the regular trials 1..MAIN_TRIALS-1
+        const segment = (this.MAIN_TRIALS - 1) / count;
+        const margin = Math.min(options.minSpacing / 2, segment / 2);
+        const rng = this.getStream(`${condition}/catch`);
+        
+        for (let i = 0; i < count; i++) {
+            const offset = margin + rng.random() * (segment - 2 * margin);
+            catchTrials.push({
+                catch_idx: i,
+                before: 1 + Math.min(Math.floor(i * segment + offset), this.MAIN_TRIALS - 2),
+                condition: condition,
+                // The target is away from the ends of the line, where the pointer may rest
+                x_t: this.STATE_RANGE * (0.1 + 0.8 * rng.random()),
+                is_catch: true,
+                tau_true: null,
+                change_flag: false,
+                s_t: null,
+                hazard_rate: null,
+                hazard_function: null,
+                transition_kernel: null,
+                tutorial_phase: null,
+                is_tutorial: false,
+                likelihood_width: null,
+                likelihood_function: null
+            });
+        }
+        
+        return catchTrials;
+    }
+    
     /**
      * Generate all sequences for the experiment
      * @returns {Object} Object containing all sequences
@@ -204,12 +452,16 @@ class StimulusGenerator {
     generateAllSequences() {
         const sequences = {
             HI: {
+                metadata: this.getSequenceMetadata('HI'),
                 tutorials: this.generateTutorialSequences('HI'),
-                main: this.generateMainSequence('HI')
+                main: this.generateMainSequence('HI'),
+                catchTrials: this.generateCatchTrials('HI')
             },
             HD: {
+                metadata: this.getSequenceMetadata('HD'),
                 tutorials: this.generateTutorialSequences('HD'),
-                main: this.generateMainSequence('HD')
+                main: this.generateMainSequence('HD'),
+                catchTrials: this.generateCatchTrials('HD')
             }
         };
         
@@ -217,8 +469,38 @@ class StimulusGenerator {
     }
     
     /**
-     * Save sequences to JSON for reuse across participants
-     * @param {Object} sequences - Generated sequences
+     * Describe how the sequences of a condition were generated
+     * @param {string} condition - 'HI' or 'HD'
+     * @returns {Object} Sequence metadata
+     */
+    getSequenceMetadata(condition) {
+        const hazardFunction = this.getHazardFunction(condition);
+        const likelihood = this.getLikelihood(condition);
+        return {
+            condition: condition,
+            boundary: this.BOUNDARY,
+            hazard: {
+                type: hazardFunction.type,
+                params: hazardFunction.params,
+                label: hazardFunction.label
+            },
+            likelihood: {
+                type: likelihood.type,
+                params: likelihood.params,
+                label: likelihood.label
+            },
+            tutorialLikelihoods: this.TUTORIAL_PHASES.map((phase, i) => this.getLikelihood(condition, i + 1).label),
+            transitionKernel: {
+                type: this.transitionKernel.type,
+                params: this.transitionKernel.params,
+                label: this.transitionKernel.label
+            }
+        };
+    }
+    
+    /**
+     * Export sequences to JSON
+     * @param {Object} sequences - Sequences to export
      * @returns {string} JSON string of sequences
      */
     exportSequences(sequences) {
@@ -234,6 +516,78 @@ class StimulusGenerator {
         return JSON.parse(jsonString);
     }
     
+    /**
+     * Package sequences as a versioned sequence file for reuse across participants
+     * (written by tools/generate-sequences.js)
+     * @param {Object} sequences - Sequences from generateAllSequences()
+     * @param {Object} info - { name, version, config, search } of the file, where search is the
+     *                        result of constrained generation (see SequenceConstraints.search())
+     * @returns {Promise<Object>} Sequence file, to be saved with JSON.stringify()
+     */
+    async createSequenceFile(sequences, info = {}) {
+        return {
+            format: StimulusGenerator.SEQUENCE_FILE_FORMAT,
+            formatVersion: StimulusGenerator.SEQUENCE_FILE_VERSION,
+            name: info.name ?? null,
+            version: info.version ?? null,
+            config: info.config ?? null, // Name of the config the file was generated from
+            search: info.search ?? null, // { baseSeed, seed, candidates, statistics } with constrained generation
+            createdAt: new Date().toISOString(),
+            parameters: this.getParameters(),
+            rngStreams: this.streamSeeds,
+            checksum: await ExperimentUtils.checksum(JSON.stringify(sequences)),
+            sequences: sequences
+        };
+    }
+    
+    /**
+     * Check a sequence file and return a copy of its sequences. The sequences must
+     * match the recorded checksum, and the file must have been generated with the
+     * parameters of this generator.
+     * @param {Object} file - Parsed sequence file (see createSequenceFile())
+     * @returns {Promise<Object>} Sequences, as returned by generateAllSequences()
+     * @throws {Error} If the file is not a valid sequence file for this generator
+     */
+    async readSequenceFile(file) {
+        if (!file || file.format !== StimulusGenerator.SEQUENCE_FILE_FORMAT) {
+            throw new Error('Not a NeuroState sequence file');
+        }
+        if (file.formatVersion !== StimulusGenerator.SEQUENCE_FILE_VERSION) {
+            throw new Error(`Unsupported sequence file format version ${file.formatVersion} ` +
+                `(expected ${StimulusGenerator.SEQUENCE_FILE_VERSION})`);
+        }
+        
+        const checksum = await ExperimentUtils.checksum(JSON.stringify(file.sequences));
+        if (checksum !== file.checksum) {
+            throw new Error(`The sequences have checksum ${checksum} but the file records ${file.checksum}; the file has been modified`);
+        }
+        
+        const parameters = this.getParameters();
+        const different = Object.keys(parameters).filter(key =>
+            StimulusGenerator.stableStringify(parameters[key]) !== StimulusGenerator.stableStringify(file.parameters[key]));
+        if (different.length) {
+            throw new Error(`The sequences were generated with different parameters (${different.join(', ')})`);
+        }
+        
+        return JSON.parse(JSON.stringify(file.sequences));
+    }
+    
+    /**
+     * JSON with the keys of every object sorted, for comparing parameters
+     * @param {*} value - Value to serialize
+     * @returns {string} JSON string
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(StimulusGenerator.stableStringify).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${StimulusGenerator.stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+    
     /**
      * Analyze state space coverage of generated sequences
      * @param {Object} sequences - Generated sequences
@@ -301,26 +655,98 @@ class StimulusGenerator {
 
 /**
  * Seeded Random Number Generator
- * Ensures reproducible stimulus sequences across participants
+ * Ensures reproducible stimulus sequences across participants. Uses sfc32
+ * (Small Fast Counter, 128-bit state), seeded by hashing the base seed together
+ * with a stream name, so that streams with different names are independent.
  */
 class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-        this.current = seed;
+    /**
+     * @param {number} seed - Base seed
+     * @param {string} stream - Stream name (default: the unnamed stream)
+     */
+    constructor(seed, stream = '') {
+        this.setSeed(seed, stream);
     }
     
+    /**
+     * @returns {number} Uniform random number in [0, 1)
+     */
     random() {
-        // Linear congruential generator
-        this.current = (this.current * 1664525 + 1013904223) % Math.pow(2, 32);
-        return this.current / Math.pow(2, 32);
+        return this.nextUint32() / 4294967296;
+    }
+    
+    /**
+     * Advance the sfc32 state
+     * @returns {number} Uniform random 32-bit unsigned integer
+     */
+    nextUint32() {
+        let [a, b, c, d] = this.state;
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (((c << 21) | (c >>> 11)) + t) | 0;
+        this.state = [a, b, c, d];
+        return t >>> 0;
     }
     
-    setSeed(seed) {
+    /**
+     * Restart the generator
+     * @param {number} seed - Base seed
+     * @param {string} stream - Stream name
+     */
+    setSeed(seed, stream = '') {
         this.seed = seed;
-        this.current = seed;
+        this.stream = stream;
+        this.state = SeededRandom.hashSeed(`${seed}/${stream}`);
+        this.streamSeed = this.state.map(word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+        
+        // The first outputs after seeding are not yet well mixed
+        for (let i = 0; i < 12; i++) {
+            this.nextUint32();
+        }
+    }
+    
+    /**
+     * Hash a string into a 128-bit state (cyrb128)
+     * @param {string} key - Seed and stream name
+     * @returns {Array} Four 32-bit words
+     */
+    static hashSeed(key) {
+        let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+        for (let i = 0; i < key.length; i++) {
+            const k = key.charCodeAt(i);
+            h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+            h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+            h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+            h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+        }
+        h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+        h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+        h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+        h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+        h1 ^= h2 ^ h3 ^ h4;
+        h2 ^= h1;
+        h3 ^= h1;
+        h4 ^= h1;
+        return [h1 | 0, h2 | 0, h3 | 0, h4 | 0];
     }
 }
 
+// Sequence files (see createSequenceFile()), kept in SEQUENCE_DIR relative to index.html
+StimulusGenerator.SEQUENCE_FILE_FORMAT = 'neurostate-sequences';
+StimulusGenerator.SEQUENCE_FILE_VERSION = 1;
+StimulusGenerator.SEQUENCE_DIR = 'sequences';
+
+// Boundary handling of states and observations (see applyBoundary())
+StimulusGenerator.BOUNDARY_MODES = ['clamp', 'truncate', 'reflect', 'circular'];
+
+// Draws per truncated sample before giving up
+StimulusGenerator.MAX_RESAMPLES = 10000;
+
+// Recorded with the seeds in the data
+SeededRandom.ALGORITHM = 'sfc32 (cyrb128-hashed seed and stream name)';
+
 /**
  * Additional utility functions specific for the stimulus generator
  * These complement the main ExperimentUtils from experiment-utils.js
@@ -335,25 +761,6 @@ class StimulusHelpers {
     static calculateDistance(point1, point2) {
         return Math.abs(point1 - point2);
     }
-    
-    /**
-     * Calculate points awarded based on distance from target
-     * @param {number} clickX - Click position
-     * @param {number} trueState - True state value
-     * @param {number} baseRadius - Base radius for full points (default 10)
-     * @returns {number} Points awarded (1, 0.25, or 0)
-     */
-    static calculatePoints(clickX, trueState, baseRadius = 10) {
-        const distance = this.calculateDistance(clickX, trueState);
-        
-        if (distance <= baseRadius) {
-            return 1; // Full points
-        } else if (distance <= baseRadius * 2) {
-            return 0.25; // Partial points
-        } else {
-            return 0; // No points
-        }
-    }
 }
 
 // Export for use in main experiment file
@@ -0,0 +1,273 @@
+/**
+ * Offline sequence generator for the NeuroState Estimation Task
+ * Generates the stimulus sequences of a config and seed, prints the state
+ * coverage report and the diagnostics summary (see sequence-diagnostics.js),
+ * and writes a versioned sequence file, with a CSV copy for analysis and the
+ * diagnostics report as JSON and HTML. Set sequenceFile.name (and sequenceFile.checksum) in the config to
+ * show every participant exactly these sequences. With sequenceConstraints enabled in the config,
+ * candidate seeds are tried from the given seed until the sequences meet the constraints
+ * (see sequence-constraints.js); the file records the final seed.
+ *
+ * Usage: node tools/generate-sequences.js [--config <name>] [--trials <n>] [--seed <n>]
+ *                                         [--name <name>] [--out <dir>]
+ *   --config  Config in configs/ (default: the built-in defaults)
+ *   --trials  Main trials per condition (default: the config's default trial count)
+ *   --seed    Stimulus seed, or the first candidate seed (default: stimulus.seed of the config)
+ *   --name    File name prefix (default: the config name)
+ *   --out     Output directory (default: sequences/)
+ *
+ * Files are written as <name>-v<version>.json, .csv, .diagnostics.json and
+ * .diagnostics.html, where version is one
+ * more than the newest existing version. Nothing is written when the sequences
+ * are identical to the newest version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ExperimentConfig } = require('../experiment-config.js');
+const { StimulusGenerator } = require('../stimulus-generator.js');
+const { SequenceDiagnostics } = require('../sequence-diagnostics.js');
+const { SequenceConstraints } = require('../sequence-constraints.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const USAGE = 'Usage: node tools/generate-sequences.js [--config <name>] [--trials <n>] [--seed <n>] [--name <name>] [--out <dir>]';
+
+/**
+ * Parse the command-line options
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Options, keyed by name without "--"
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        if (!['config', 'trials', 'seed', 'name', 'out'].includes(key) || !args[i].startsWith('--')) {
+            throw new Error(`Unknown option "${args[i]}"`);
+        }
+        if (args[i + 1] === undefined) {
+            throw new Error(`Missing value for ${args[i]}`);
+        }
+        options[key] = args[i + 1];
+    }
+    return options;
+}
+
+/**
+ * Parse a non-negative integer option
+ * @param {string} value - Option value
+ * @param {string} option - Option name, for the error message
+ * @returns {number} Integer
+ */
+function parseInteger(value, option) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`--${option} must be a non-negative integer (got "${value}")`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Resolve a config from configs/, as ExperimentConfig.load() does in the browser
+ * @param {string|undefined} name - Config name (undefined: the defaults)
+ * @returns {Object} Resolved config
+ */
+function loadConfig(name) {
+    if (name === undefined) {
+        return ExperimentConfig.resolve({}, 'default');
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new Error(`Invalid config name "${name}": use only letters, digits, "-" and "_"`);
+    }
+    
+    const file = path.join(ROOT_DIR, ExperimentConfig.CONFIG_DIR, `${name}.json`);
+    let overrides;
+    try {
+        overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config "${name}" from ${file}: ${error.message}`);
+    }
+    return ExperimentConfig.resolve(overrides, name);
+}
+
+/**
+ * Newest existing version of the sequence files with this name
+ * @param {string} dir - Output directory
+ * @param {string} name - File name prefix
+ * @returns {number} Version number (0 if there is none)
+ */
+function latestVersion(dir, name) {
+    if (!fs.existsSync(dir)) {
+        return 0;
+    }
+    const pattern = new RegExp(`^${name}-v(\\d+)\\.json$`);
+    return fs.readdirSync(dir).reduce((latest, filename) => {
+        const match = filename.match(pattern);
+        return match ? Math.max(latest, parseInt(match[1], 10)) : latest;
+    }, 0);
+}
+
+/**
+ * Long-format CSV of all sequences: one row per trial, tagged with the condition
+ * and the sequence it belongs to (tutorial-<phase>, main or catch)
+ * @param {Object} sequences - Sequences from generateAllSequences()
+ * @returns {string} CSV text
+ */
+function sequencesToCSV(sequences) {
+    const rows = [];
+    for (const [condition, sequence] of Object.entries(sequences)) {
+        sequence.tutorials.forEach((trials, i) => {
+            trials.forEach(trial => rows.push(Object.assign({ condition: condition, sequence: `tutorial-${i + 1}` }, trial)));
+        });
+        sequence.main.forEach(trial => rows.push(Object.assign({ condition: condition, sequence: 'main' }, trial)));
+        sequence.catchTrials.forEach(trial => rows.push(Object.assign({ condition: condition, sequence: 'catch' }, trial)));
+    }
+    
+    // Catch trials have columns of their own
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const format = value => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'boolean') {
+            return value ? '1' : '0';
+        }
+        if (typeof value === 'string' && value.includes(',')) {
+            return `"${value}"`;
+        }
+        return value;
+    };
+    
+    return [headers.join(','), ...rows.map(row => headers.map(header => format(row[header])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Print the state coverage report of analyzeStateCoverage()
+ * @param {Object} coverage - Coverage analysis per condition
+ */
+function printCoverage(coverage) {
+    const range = stats => `min ${stats.min.toFixed(1)}, max ${stats.max.toFixed(1)}, ` +
+        `mean ${stats.mean.toFixed(1)}, coverage ${(stats.coverage * 100).toFixed(1)}%`;
+    
+    console.log('State coverage of the main sequences:');
+    for (const [condition, analysis] of Object.entries(coverage)) {
+        const percentages = analysis.quartileDistribution.percentages;
+        console.log(`  ${condition}`);
+        console.log(`    states:       ${range(analysis.stateRange)}`);
+        console.log(`    observations: ${range(analysis.observationRange)}`);
+        console.log(`    quartiles:    ${percentages.q1}% / ${percentages.q2}% / ${percentages.q3}% / ${percentages.q4}%`);
+    }
+}
+
+/**
+ * Print which diagnostics checks passed, for every sequence that was long enough to check
+ * @param {Object} report - Report from SequenceDiagnostics.analyzeAll()
+ */
+function printDiagnostics(report) {
+    const names = { hazard: 'hazard', runLengths: 'run lengths', jumps: 'jumps', noise: 'noise', clamping: 'clamping' };
+    const status = pass => (pass === null ? 'skipped' : (pass ? 'pass' : 'FAIL'));
+    
+    console.log('Sequence diagnostics:');
+    for (const result of report.sequences.filter(result => result.pass !== null)) {
+        const checks = Object.entries(names).map(([check, label]) => `${label} ${status(result[check].pass)}`);
+        console.log(`  ${result.condition} ${result.sequence}: ${checks.join(', ')}`);
+    }
+    if (report.pass === false) {
+        console.log('  Warning: some sequences do not follow the intended generative process; see the HTML report.');
+    }
+}
+
+/**
+ * Print the outcome of constrained generation
+ * @param {Object} search - Search result of SequenceConstraints.search()
+ */
+function printSearch(search) {
+    const format = (values, digits) => Object.entries(values)
+        .map(([condition, value]) => `${condition} ${value === null ? '-' : value.toFixed(digits)}`).join(', ');
+    
+    console.log(`Constrained generation: ${search.candidates} candidate${search.candidates === 1 ? '' : 's'} tried, ` +
+        `final seed ${search.seed} (from seed ${search.baseSeed})`);
+    const statistics = search.statistics;
+    console.log(`  changes per 100 trials: ${format(statistics.changesPerHundred, 1)}`);
+    console.log(`  mean run length:        ${format(statistics.meanRunLength, 2)}`);
+    for (const [condition, proportions] of Object.entries(statistics.quartileProportions)) {
+        console.log(`  ${condition} quartiles:           ${proportions.map(p => `${(p * 100).toFixed(1)}%`).join(' / ')}`);
+    }
+    if (statistics.observerError) {
+        console.log(`  observer error:         ${format(statistics.observerError, 2)}`);
+    }
+}
+
+/**
+ * Generate the sequences and write the next version of the sequence files
+ * @param {Array} args - Command-line arguments
+ * @returns {Promise<void>} Resolves once the files are written
+ */
+async function main(args) {
+    const options = parseArgs(args);
+    const config = loadConfig(options.config);
+    const defaultOption = config.trialCountOptions.find(option => option.default) || config.trialCountOptions[0];
+    const trialCount = options.trials !== undefined ? parseInteger(options.trials, 'trials') : defaultOption.value;
+    const seed = options.seed !== undefined ? parseInteger(options.seed, 'seed') : config.stimulus.seed;
+    const name = options.name ?? config.name;
+    const outDir = path.resolve(options.out ?? path.join(ROOT_DIR, StimulusGenerator.SEQUENCE_DIR));
+    
+    if (trialCount < 1) {
+        throw new Error('--trials must be at least 1');
+    }
+    if (seed > 4294967295) {
+        throw new Error('--seed must be at most 4294967295');
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new Error(`Invalid file name "${name}": use only letters, digits, "-" and "_"`);
+    }
+    
+    const createGenerator = candidateSeed => StimulusGenerator.fromConfig(config, trialCount, candidateSeed);
+    let generator;
+    let sequences;
+    let search = null;
+    if (config.sequenceConstraints.enabled) {
+        ({ generator, sequences, search } = new SequenceConstraints(config.sequenceConstraints, config.observer)
+            .search(createGenerator, seed));
+    } else {
+        generator = createGenerator(seed);
+        sequences = generator.generateAllSequences();
+    }
+    
+    console.log(`Config "${config.name}", ${trialCount} main trials per condition, seed ${generator.rngSeed}`);
+    if (search) {
+        printSearch(search);
+    }
+    printCoverage(generator.analyzeStateCoverage(sequences));
+    const report = new SequenceDiagnostics(generator, config.diagnostics).analyzeAll(sequences);
+    printDiagnostics(report);
+    
+    // Never overwrite a version that participants may already have seen
+    const previous = latestVersion(outDir, name);
+    const version = previous + 1;
+    const file = await generator.createSequenceFile(sequences, { name: name, version: version, config: config.name, search: search });
+    if (previous > 0) {
+        const previousFile = JSON.parse(fs.readFileSync(path.join(outDir, `${name}-v${previous}.json`), 'utf8'));
+        if (previousFile.checksum === file.checksum) {
+            console.log(`\nThe sequences are identical to ${name}-v${previous} (checksum ${file.checksum}); nothing written.`);
+            return;
+        }
+    }
+    
+    const base = path.join(outDir, `${name}-v${version}`);
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(`${base}.json`, JSON.stringify(file, null, 2) + '\n', { flag: 'wx' });
+    fs.writeFileSync(`${base}.csv`, sequencesToCSV(sequences), { flag: 'wx' });
+    fs.writeFileSync(`${base}.diagnostics.json`, JSON.stringify(report, null, 2) + '\n', { flag: 'wx' });
+    fs.writeFileSync(`${base}.diagnostics.html`, SequenceDiagnostics.toHTML(report, `Sequence diagnostics: ${name}-v${version}`), { flag: 'wx' });
+    
+    console.log(`\nWrote ${base}.json and ${base}.csv (checksum ${file.checksum})`);
+    console.log(`Diagnostics report: ${base}.diagnostics.html`);
+    console.log('To use these sequences, add to the config:');
+    console.log(`  "sequenceFile": { "name": "${name}-v${version}", "checksum": "${file.checksum}" }`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+});
@@ -0,0 +1,196 @@
+/**
+ * Transition Kernel Registry for the NeuroState Estimation Experiment
+ * A transition kernel gives the distribution of the new hidden state at a
+ * change point, given the state before the change. Every kernel is a mixture
+ * of components (triangular, Gaussian or uniform, see likelihood-functions.js),
+ * which gives its density for analysis code. Density and CDF are those of the
+ * kernel before the boundary handling of StimulusGenerator.applyBoundary().
+ *
+ * Kernels are selected with a spec object, e.g.
+ *   { type: 'bimodal' }
+ *   { type: 'gaussian-step', sd: 20 }
+ *
+ * Kernels use the geometry of the stimulus config: stateRange,
+ * changeSeparation and changeSizeHalfWidth.
+ */
+
+// In Node the companion scripts are not loaded as globals, so require them here
+if (typeof module !== 'undefined' && module.exports && typeof Registry === 'undefined') {
+    global.Registry = require('./registry.js').Registry;
+}
+if (typeof module !== 'undefined' && module.exports && typeof LikelihoodFunctions === 'undefined') {
+    global.LikelihoodFunctions = require('./likelihood-functions.js').LikelihoodFunctions;
+}
+
+/**
+ * Transition kernel types are registered with TransitionKernels.register(type, definition)
+ * @param {Object} definition - Type definition; g is the geometry { stateRange, changeSeparation, changeSizeHalfWidth }
+ * @param {Object} definition.defaults - Default parameter values
+ * @param {Function} definition.validate - (params) => array of error messages
+ * @param {Function} definition.components - (state, exploration, g, params) => [{ weight, shape, center, width }]
+ * @param {Function} definition.sample - (state, exploration, g, params, rng, draw) => new state, where
+ *                                       draw(shape, center, width) samples one component
+ * @param {Function} definition.explores - Optional (t, isTutorial, params) => whether trial t of a
+ *                                         sequence is an exploration trial
+ * @param {Function} definition.label - (params) => short human-readable label
+ */
+class TransitionKernels extends Registry {
+    /**
+     * Create a transition kernel from a spec
+     * @param {Object} spec - { type, ...params }
+     * @param {Object} geometry - { stateRange, changeSeparation, changeSizeHalfWidth }
+     * @returns {Object} { type, params, label, exploratory, explores(t, isTutorial), components(state, exploration),
+     *                   sample(state, exploration, rng, draw), density(x, state, exploration), cdf(x, state, exploration) }
+     */
+    static create(spec, geometry) {
+        const { type, definition, params } = TransitionKernels.resolve(spec);
+        const components = (state, exploration) => definition.components(state, exploration, geometry, params);
+        const label = definition.label(params);
+        return {
+            type: type,
+            params: params,
+            label: label ? `${type}(${label})` : type,
+            exploratory: Boolean(definition.explores),
+            explores: (t, isTutorial) => (definition.explores ? definition.explores(t, isTutorial, params) : false),
+            components: components,
+            sample: (state, exploration, rng, draw) => definition.sample(state, exploration, geometry, params, rng, draw),
+            density: (x, state, exploration) => components(state, exploration)
+                .reduce((sum, c) => sum + c.weight * c.shape.pdf(x, c.center, c.width), 0),
+            cdf: (x, state, exploration) => components(state, exploration)
+                .reduce((sum, c) => sum + c.weight * c.shape.cdf(x, c.center, c.width), 0)
+        };
+    }
+    
+    /**
+     * The two lobes of the bimodal kernel: triangular, at state +/- changeSeparation
+     * @param {number} state - State before the change
+     * @param {Object} g - Geometry
+     * @param {number} weight - Total weight of the two lobes
+     * @returns {Array} Components
+     */
+    static lobes(state, g, weight) {
+        const triangular = TransitionKernels.shapes.triangular;
+        return [
+            { weight: weight / 2, shape: triangular, center: state - g.changeSeparation, width: g.changeSizeHalfWidth },
+            { weight: weight / 2, shape: triangular, center: state + g.changeSeparation, width: g.changeSizeHalfWidth }
+        ];
+    }
+}
+
+TransitionKernels.types = {};
+TransitionKernels.kind = 'transition kernel';
+
+// Component shapes; width is the half-width (triangular, uniform) or the SD (Gaussian)
+TransitionKernels.shapes = {
+    triangular: LikelihoodFunctions.create({ type: 'triangular' }),
+    gaussian: LikelihoodFunctions.create({ type: 'gaussian', sd: 1 }),
+    uniform: LikelihoodFunctions.create({ type: 'uniform' })
+};
+
+// Bimodal kernel of the paper: a triangular lobe on either side of the current
+// state, each with probability 1/2
+TransitionKernels.register('bimodal', {
+    defaults: {},
+    validate: () => [],
+    components: (state, exploration, g) => TransitionKernels.lobes(state, g, 1),
+    sample: (state, exploration, g, p, rng, draw) => {
+        const center = rng.random() < 0.5 ? state - g.changeSeparation : state + g.changeSeparation;
+        return draw(TransitionKernels.shapes.triangular, center, g.changeSizeHalfWidth);
+    },
+    label: () => ''
+});
+
+// Uniform redraw: the new state is uniform over the state range, whatever the current state
+TransitionKernels.register('uniform', {
+    defaults: {},
+    validate: () => [],
+    components: (state, exploration, g) => [
+        { weight: 1, shape: TransitionKernels.shapes.uniform, center: g.stateRange / 2, width: g.stateRange / 2 }
+    ],
+    sample: (state, exploration, g, p, rng, draw) =>
+        draw(TransitionKernels.shapes.uniform, g.stateRange / 2, g.stateRange / 2),
+    label: () => ''
+});
+
+// Gaussian step: the new state is the current state plus Gaussian noise with SD sd (state units)
+TransitionKernels.register('gaussian-step', {
+    defaults: { sd: 20 },
+    validate: p => TransitionKernels.checkPositive('sd', p.sd),
+    components: (state, exploration, g, p) => [
+        { weight: 1, shape: TransitionKernels.shapes.gaussian, center: state, width: p.sd }
+    ],
+    sample: (state, exploration, g, p, rng, draw) => draw(TransitionKernels.shapes.gaussian, state, p.sd),
+    label: p => `sd=${p.sd}`
+});
+
+// Exploratory mixture (the original generator): the bimodal lobes, but with
+// probability largeJumpProbability a jump to a triangular distribution over the
+// middle of the range (half-width stateRange / 3). On exploration trials (every
+// explorationInterval trials, and every tutorial trial) the change is, with
+// probability explorationProbability, a jump toward the far side of the range
+// instead: to 0.7 or 0.3 of the range from the lower or upper 30%, otherwise to
+// 0.15 or 0.85 of the range with equal probability.
+TransitionKernels.register('exploratory', {
+    defaults: { largeJumpProbability: 0.2, explorationInterval: 50, explorationProbability: 0.3 },
+    validate: p => [
+        ...TransitionKernels.checkProbability('largeJumpProbability', p.largeJumpProbability),
+        ...(Number.isInteger(p.explorationInterval) && p.explorationInterval >= 1 ? [] :
+            [`explorationInterval must be a positive integer (got ${JSON.stringify(p.explorationInterval)})`]),
+        ...TransitionKernels.checkProbability('explorationProbability', p.explorationProbability)
+    ],
+    explores: (t, isTutorial, p) => isTutorial || (t > 0 && t % p.explorationInterval === 0),
+    components: (state, exploration, g, p) => {
+        const triangular = TransitionKernels.shapes.triangular;
+        const range = g.stateRange;
+        const regularWeight = exploration ? 1 - p.explorationProbability : 1;
+        const components = [
+            { weight: regularWeight * p.largeJumpProbability, shape: triangular, center: range / 2, width: range / 3 },
+            ...TransitionKernels.lobes(state, g, regularWeight * (1 - p.largeJumpProbability))
+        ];
+        
+        if (exploration) {
+            const weight = p.explorationProbability;
+            if (state < range * 0.3) {
+                components.push({ weight: weight, shape: triangular, center: range * 0.7, width: range * 0.2 });
+            } else if (state > range * 0.7) {
+                components.push({ weight: weight, shape: triangular, center: range * 0.3, width: range * 0.2 });
+            } else {
+                components.push({ weight: weight / 2, shape: triangular, center: range * 0.15, width: range * 0.1 });
+                components.push({ weight: weight / 2, shape: triangular, center: range * 0.85, width: range * 0.1 });
+            }
+        }
+        return components;
+    },
+    sample: (state, exploration, g, p, rng, draw) => {
+        const triangular = TransitionKernels.shapes.triangular;
+        const range = g.stateRange;
+        
+        if (exploration && rng.random() < p.explorationProbability) {
+            if (state < range * 0.3) {
+                return draw(triangular, range * 0.7, range * 0.2);
+            }
+            if (state > range * 0.7) {
+                return draw(triangular, range * 0.3, range * 0.2);
+            }
+            return rng.random() < 0.5 ?
+                draw(triangular, range * 0.15, range * 0.1) :
+                draw(triangular, range * 0.85, range * 0.1);
+        }
+        
+        if (rng.random() < p.largeJumpProbability) {
+            return draw(triangular, range / 2, range / 3);
+        }
+        const center = rng.random() < 0.5 ? state - g.changeSeparation : state + g.changeSeparation;
+        return draw(triangular, center, g.changeSizeHalfWidth);
+    },
+    label: p => `largeJumpProbability=${p.largeJumpProbability}; explorationInterval=${p.explorationInterval}; ` +
+        `explorationProbability=${p.explorationProbability}`
+});
+
+// Export for use in main experiment file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransitionKernels };
+} else {
+    // Make available globally when used directly in browser
+    window.TransitionKernels = TransitionKernels;
+}